@@ -0,0 +1,113 @@
+// Node.js entry point: loads the viewer's browser scripts (parser, decoders, file
+// readers and writers) unchanged, the way dicom_worker.js imports them, and exports
+// their classes together with file helpers that stand in for the browser's File.
+// Needs Node 18 or later for Blob, Response and the compression streams.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const scripts = [
+    'jpeg_decoder.js',
+    'jpeg_lossless_decoder.js',
+    'rle_decoder.js',
+    'dicom_dictionary.js',
+    'dicom_dataset.js',
+    'dicom_validation.js',
+    'dicom_parser_fixed.js',
+    'dicom_writer.js',
+    'dicom_deidentifier.js',
+    'gzip.js',
+    'raw_volume_reader.js',
+    'nifti_parser.js',
+    'nifti_writer.js',
+    'metaimage_parser.js',
+    'nrrd_parser.js',
+    'nrrd_writer.js',
+    'zip_writer.js',
+    'derived_series_writer.js',
+    'dicomweb_client.js'
+];
+
+const exportedClasses = [
+    'DicomParser',
+    'DicomDataset',
+    'DicomWriter',
+    'DicomDeidentifier',
+    'DicomDictionary',
+    'DicomValidationReport',
+    'DicomParseError',
+    'UnsupportedTransferSyntaxError',
+    'MalformedElementError',
+    'MissingDimensionsError',
+    'NoPixelDataError',
+    'PixelDataLengthError',
+    'JpegDecoder',
+    'JpegLosslessDecoder',
+    'RleDecoder',
+    'Gzip',
+    'RawVolumeReader',
+    'NiftiParser',
+    'NiftiWriter',
+    'MetaImageParser',
+    'NrrdParser',
+    'NrrdWriter',
+    'ZipWriter',
+    'DerivedSeriesWriter',
+    'DicomWebClient'
+];
+
+// The scripts declare top-level classes that refer to each other. They are run
+// together inside one function, so the classes share a scope without becoming
+// globals of the calling program.
+const source = scripts.map(script => fs.readFileSync(path.join(__dirname, script), 'utf8')).join('\n;\n');
+const classes = vm.runInThisContext(
+    `(function () {\n${source}\nreturn { ${exportedClasses.join(', ')} };\n})`,
+    { filename: path.join(__dirname, 'ct_viewer_scripts.js') }
+)();
+
+// A file on disk with the part of the browser File interface the parser uses.
+// webkitRelativePath is relative to the folder that was listed, as for a folder
+// picked in the browser, so DICOMDIR references resolve the same way.
+class NodeFile {
+    constructor(filePath, relativePath = path.basename(filePath)) {
+        this.path = filePath;
+        this.name = path.basename(filePath);
+        this.webkitRelativePath = relativePath.split(path.sep).join('/');
+        this.size = fs.statSync(filePath).size;
+    }
+
+    async arrayBuffer() {
+        const buffer = await fs.promises.readFile(this.path);
+        return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    }
+}
+
+// Every file below a folder (or the file itself), in name order
+function listFiles(inputPath) {
+    const root = path.resolve(inputPath);
+    if (!fs.statSync(root).isDirectory()) {
+        return [new NodeFile(root)];
+    }
+
+    const files = [];
+    const visit = (dir) => {
+        const entries = fs.readdirSync(dir, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                visit(entryPath);
+            } else if (entry.isFile()) {
+                files.push(new NodeFile(entryPath, path.join(path.basename(root), path.relative(root, entryPath))));
+            }
+        }
+    };
+    visit(root);
+    return files;
+}
+
+module.exports = {
+    ...classes,
+    NodeFile,
+    listFiles
+};
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+// Command-line converter built on the viewer's own parser and volume assembly:
+//
+//   ct-viewer convert <dicom folder, DICOMDIR or file> <out.nii.gz|out.nii|out.nrrd>
+//   ct-viewer series <dicom folder or DICOMDIR>
+//   ct-viewer dump <file.dcm>
+//
+// Exit status is 0 on success, 1 when reading or writing fails and 2 for usage errors.
+const fs = require('fs');
+const path = require('path');
+const {
+    DicomParser,
+    DicomValidationReport,
+    NiftiWriter,
+    NrrdWriter,
+    listFiles
+} = require('./ct_viewer');
+
+const usage = `Usage:
+  ct-viewer convert [--series <number|UID>] [--strict] [--verbose] <dicom folder, DICOMDIR or file> <output>
+      Build the volume of a series and write it as .nii.gz, .nii or .nrrd.
+      Without --series the largest series that is not a localizer is used.
+      A DICOMDIR reads the files it refers to.
+  ct-viewer series [--strict] [--verbose] <dicom folder, DICOMDIR or file>
+      List the series found.
+  ct-viewer dump [--strict] <file.dcm>
+      Print the data elements of a DICOM file.`;
+
+class UsageError extends Error {}
+
+// Split argv into options and positional arguments
+function parseArguments(argv) {
+    const options = { strict: false, verbose: false, series: null };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--verbose' || arg === '-v') {
+            options.verbose = true;
+        } else if (arg === '--series') {
+            if (i + 1 >= argv.length) {
+                throw new UsageError('--series needs a series number or UID');
+            }
+            options.series = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { options, positional };
+}
+
+// The parser logs its progress: keep stdout for the command's own output and
+// show the log on stderr only with --verbose
+function parserLogger(options) {
+    if (!options.verbose) {
+        return { log() {}, warn() {} };
+    }
+    return { log: (...args) => console.error(...args), warn: (...args) => console.error(...args) };
+}
+
+// The image files of a DICOMDIR: those its image records refer to, found in
+// the DICOMDIR's folder
+async function dicomDirFiles(parser, dicomDirPath) {
+    const folderFiles = listFiles(path.dirname(path.resolve(dicomDirPath)));
+    const dicomDirFile = folderFiles.find(file => file.path === path.resolve(dicomDirPath));
+    const { patients } = await parser.parseDicomDir(await dicomDirFile.arrayBuffer());
+
+    const fileIDs = [];
+    for (const patient of patients) {
+        for (const study of patient.studies) {
+            for (const series of study.series) {
+                fileIDs.push(...series.fileIDs);
+            }
+        }
+    }
+    const files = parser.resolveDicomDirFiles(dicomDirFile, folderFiles, fileIDs);
+    if (files.length === 0) {
+        throw new Error(`${dicomDirPath} refers to no image files in its folder`);
+    }
+    return files;
+}
+
+// Parse the files and group them into series, reporting skipped and repaired files
+async function scanSeries(inputPath, options) {
+    const parser = new DicomParser({ strict: options.strict, logger: parserLogger(options) });
+    // A DICOMDIR in a folder only indexes the other files; they are parsed directly
+    const files = path.basename(inputPath).toUpperCase() === 'DICOMDIR' && fs.statSync(inputPath).isFile()
+        ? await dicomDirFiles(parser, inputPath)
+        : listFiles(inputPath).filter(file => file.name.toUpperCase() !== 'DICOMDIR');
+    const report = new DicomValidationReport();
+
+    try {
+        return { parser, series: await parser.scanDicomFolder(files, report) };
+    } finally {
+        printReport(report);
+    }
+}
+
+function printReport(report) {
+    const counts = report.summary();
+    console.error(`${report.files.length} files: ${counts.accepted} accepted, ${counts.repaired} repaired, ${counts.skipped} skipped`);
+    for (const file of report.files) {
+        if (file.status !== 'accepted') {
+            console.error(`  ${file.status} ${file.fileName}: ${file.reasons.join('; ')}`);
+        }
+    }
+}
+
+function describeSeries(entry) {
+    const [cols, rows, slices] = entry.dimensions;
+    return [
+        entry.seriesNumber !== null ? `#${entry.seriesNumber}` : '#-',
+        entry.modality || '-',
+        entry.description || '(no description)',
+        `${cols}x${rows}x${slices}`,
+        entry.localizer ? '[localizer]' : '',
+        entry.seriesInstanceUID || ''
+    ].filter(Boolean).join('  ');
+}
+
+async function convert(positional, options) {
+    if (positional.length !== 2) {
+        throw new UsageError('convert needs an input and an output path');
+    }
+    const [inputPath, outputPath] = positional;
+    const format = ['.nii.gz', '.nii', '.nrrd'].find(extension => outputPath.toLowerCase().endsWith(extension));
+    if (!format) {
+        throw new UsageError(`Output ${outputPath} must end in .nii.gz, .nii or .nrrd`);
+    }
+
+    const { parser, series } = await scanSeries(inputPath, options);
+    let chosen;
+    if (options.series !== null) {
+        chosen = series.find(entry => entry.seriesInstanceUID === options.series ||
+                                      String(entry.seriesNumber) === options.series);
+        if (!chosen) {
+            throw new Error(`No series ${options.series}; found:\n${series.map(describeSeries).join('\n')}`);
+        }
+    } else {
+        chosen = series.find(entry => !entry.localizer) || series[0];
+        if (series.length > 1) {
+            console.error(`${series.length} series found, converting the largest (use --series to choose)`);
+        }
+    }
+    console.error(`Series ${describeSeries(chosen)}`);
+
+    const volume = parser.buildVolume(chosen.slices);
+    let bytes;
+    if (format === '.nii.gz') {
+        bytes = await new NiftiWriter().writeNiftiGz(volume);
+    } else if (format === '.nii') {
+        bytes = new NiftiWriter().writeNifti(volume);
+    } else {
+        bytes = await new NrrdWriter().writeNrrd(volume);
+    }
+
+    fs.writeFileSync(outputPath, bytes);
+    const spacing = volume.spacing.map(value => +value.toFixed(4)).join('x');
+    const voxelType = volume.data.constructor.name.replace('Array', '').toLowerCase();
+    console.error(`Wrote ${outputPath} (${volume.dimensions.join('x')}, spacing ${spacing} mm, ${voxelType})`);
+}
+
+async function listSeries(positional, options, output) {
+    if (positional.length !== 1) {
+        throw new UsageError('series needs an input path');
+    }
+    const { series } = await scanSeries(positional[0], options);
+    for (const entry of series) {
+        output(describeSeries(entry));
+    }
+}
+
+async function dump(positional, options, output) {
+    if (positional.length !== 1) {
+        throw new UsageError('dump needs a DICOM file');
+    }
+    const buffer = fs.readFileSync(positional[0]);
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    const { dataset, syntax } = new DicomParser({ strict: options.strict, logger: parserLogger(options) }).parseDataset(arrayBuffer);
+
+    const transferSyntaxUID = dataset.string('00020010');
+    output(`# ${positional[0]}: ${transferSyntaxUID ? `transfer syntax ${transferSyntaxUID}, ` : ''}` +
+           `${syntax.explicitVR ? 'explicit' : 'implicit'} VR ${syntax.littleEndian ? 'little' : 'big'} endian`);
+    printDataset(dataset, '', output);
+    for (const warning of dataset.warnings) {
+        console.error(`warning: ${warning}`);
+    }
+}
+
+// One line per element, dcmdump style; sequence items are indented below their sequence
+function printDataset(dataset, indent, output) {
+    for (const element of dataset.elements.values()) {
+        const tag = `(${element.tag.slice(0, 4)},${element.tag.slice(4)})`;
+        const keyword = dataset.keyword(element.tag) || '';
+        const length = element.length === 0xFFFFFFFF ? 'undefined length' : `${element.length} bytes`;
+
+        if (element.items) {
+            output(`${indent}${tag} SQ ${element.items.length} item(s)  # ${keyword}`);
+            element.items.forEach((item, index) => {
+                output(`${indent}  > item ${index + 1}`);
+                printDataset(item, indent + '    ', output);
+            });
+            continue;
+        }
+
+        const values = dataset.multiValue(element.tag);
+        let shown;
+        if (values === undefined) {
+            shown = `<${length}>`;
+        } else {
+            shown = `[${values.join('\\')}]`;
+            if (shown.length > 80) {
+                shown = `${shown.slice(0, 76)}...]`;
+            }
+        }
+        output(`${indent}${tag} ${element.vr} ${shown}  # ${keyword}${keyword ? ', ' : ''}${length}`);
+    }
+}
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    const { options, positional } = parseArguments(rest);
+    if (!command || command === '--help' || command === '-h' || options.help) {
+        console.log(usage);
+        return;
+    }
+
+    const commands = { convert, series: listSeries, dump };
+    if (!commands[command]) {
+        throw new UsageError(`Unknown command ${command}`);
+    }
+
+    await commands[command](positional, options, console.log.bind(console));
+}
+
+main(process.argv.slice(2)).catch(error => {
+    if (error instanceof UsageError) {
+        console.error(`${error.message}\n\n${usage}`);
+        process.exitCode = 2;
+    } else {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+});
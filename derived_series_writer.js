@@ -0,0 +1,247 @@
+// Writes what the viewer shows back as DICOM for PACS: a render as an RGB Secondary
+// Capture image, or a volume resliced along one of its axes as a derived series
+// (CT or MR Image Storage for CT and MR sources, grayscale Secondary Capture
+// otherwise). Patient and study attributes are copied from the source series'
+// metadata (as DicomParser gives it per slice), so the new series files into the
+// same study; series and instances get new UIDs.
+class DerivedSeriesWriter {
+    constructor() {
+        this.writer = new DicomWriter();
+
+        // Patient and study attributes copied from the source series, with their VRs
+        this.studyAttributes = [
+            ['00080020', 'DA'], // StudyDate
+            ['00080030', 'TM'], // StudyTime
+            ['00080050', 'SH'], // AccessionNumber
+            ['00080090', 'PN'], // ReferringPhysicianName
+            ['00081030', 'LO'], // StudyDescription
+            ['00100010', 'PN'], // PatientName
+            ['00100020', 'LO'], // PatientID
+            ['00100030', 'DA'], // PatientBirthDate
+            ['00100040', 'CS'], // PatientSex
+            ['00101010', 'AS'], // PatientAge
+            ['0020000D', 'UI'], // StudyInstanceUID
+            ['00200010', 'SH']  // StudyID
+        ];
+
+        // Storage SOP classes for derived series by source modality
+        this.sopClasses = {
+            CT: '1.2.840.10008.5.1.4.1.1.2',
+            MR: '1.2.840.10008.5.1.4.1.1.4'
+        };
+        this.secondaryCaptureClass = '1.2.840.10008.5.1.4.1.1.7';
+
+        // Volume axes (0 = columns i, 1 = rows j, 2 = slices k) of each reslicing:
+        // the axis sliced along and the axes of the image's columns and rows
+        this.orientations = {
+            axial: { slice: 2, column: 0, row: 1 },
+            coronal: { slice: 1, column: 0, row: 2 },
+            sagittal: { slice: 0, column: 1, row: 2 }
+        };
+    }
+
+    // One RGB Secondary Capture image ({ width, height, data } with RGB rows top to
+    // bottom, e.g. from MinimalVolumeRenderer.captureImage) as a Part 10 file
+    writeSecondaryCapture(image, sourceMetadata = {}, { seriesDescription = 'Screen capture', seriesNumber = 1000 } = {}) {
+        const w = this.writer;
+        const elements = [
+            ...this.studyElements(sourceMetadata),
+            ...this.seriesElements(sourceMetadata['00080060'] || 'OT', seriesDescription, seriesNumber),
+            w.createElement('00080008', 'CS', ['DERIVED', 'SECONDARY']), // ImageType
+            w.createElement('00080016', 'UI', this.secondaryCaptureClass), // SOPClassUID
+            w.createElement('00080018', 'UI', w.createUid()), // SOPInstanceUID
+            w.createElement('00080064', 'CS', 'WSD'), // ConversionType: workstation
+            ...this.dateTimeElements(['00080023', '00080033']), // ContentDate, ContentTime
+            ...this.dateTimeElements(['00181012', '00181014']), // DateOfSecondaryCapture, TimeOfSecondaryCapture
+            w.createElement('00200013', 'IS', 1), // InstanceNumber
+            w.createElement('00280002', 'US', 3), // SamplesPerPixel
+            w.createElement('00280004', 'CS', 'RGB'), // PhotometricInterpretation
+            w.createElement('00280006', 'US', 0), // PlanarConfiguration: interleaved
+            w.createElement('00280010', 'US', image.height), // Rows
+            w.createElement('00280011', 'US', image.width), // Columns
+            w.createElement('00280100', 'US', 8), // BitsAllocated
+            w.createElement('00280101', 'US', 8), // BitsStored
+            w.createElement('00280102', 'US', 7), // HighBit
+            w.createElement('00280103', 'US', 0), // PixelRepresentation
+            w.createElement('7FE00010', 'OB', image.data) // PixelData
+        ];
+        return w.write(elements);
+    }
+
+    // A volume resliced along one axis ('axial', 'coronal' or 'sagittal' for the
+    // volume's k, j or i axis) as a derived series: [{ name, data }], one file per
+    // slice. Coronal and sagittal images run from head to feet. The modality is
+    // options.modality or the source's; without either the images are OT Secondary
+    // Capture images.
+    writeDerivedSeries(volume, orientation, sourceMetadata = {}, {
+        seriesDescription,
+        seriesNumber = 1001,
+        window = volume.window,
+        modality = sourceMetadata['00080060'] || 'OT'
+    } = {}) {
+        if (volume.components === 3) {
+            throw new Error('Colour volumes cannot be written as a derived series');
+        }
+        const axes = this.orientations[orientation];
+        if (!axes) {
+            throw new Error(`Unknown orientation ${orientation}`);
+        }
+
+        const w = this.writer;
+        const sopClassUID = this.sopClasses[modality] || this.secondaryCaptureClass;
+        const frameOfReferenceUID = sourceMetadata['00200052'] || w.createUid();
+
+        const dims = volume.dimensions;
+        const spacing = volume.spacing || [1, 1, 1];
+        const direction = volume.direction || [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        const axisDirection = axis => direction.slice(axis * 3, axis * 3 + 3);
+        const columns = dims[axes.column];
+        const rows = dims[axes.row];
+        const sliceCount = dims[axes.slice];
+
+        // Rows that would run towards the head (+z in LPS) are flipped so the
+        // patient's head is at the top of coronal and sagittal images
+        const flipRows = orientation !== 'axial' && axisDirection(axes.row)[2] > 0;
+        const rowDirection = axisDirection(axes.row).map(v => (flipRows ? -v : v));
+        const orientationValues = [...axisDirection(axes.column), ...rowDirection].map(v => this.decimal(v));
+
+        const rescale = this.storedRescale(volume.data, volume.range);
+        const series = [
+            ...this.studyElements(sourceMetadata),
+            ...this.seriesElements(modality, seriesDescription || `${orientation[0].toUpperCase()}${orientation.slice(1)} reformat`, seriesNumber),
+            w.createElement('00080008', 'CS', ['DERIVED', 'SECONDARY', orientation === 'axial' ? 'AXIAL' : 'REFORMATTED']), // ImageType
+            w.createElement('00080016', 'UI', sopClassUID), // SOPClassUID
+            ...this.dateTimeElements(['00080023', '00080033']), // ContentDate, ContentTime
+            w.createElement('00082111', 'ST', `${orientation} reformat of the source series`), // DerivationDescription
+            w.createElement('00180050', 'DS', this.decimal(spacing[axes.slice])), // SliceThickness
+            w.createElement('00200052', 'UI', frameOfReferenceUID), // FrameOfReferenceUID
+            w.createElement('00200037', 'DS', orientationValues), // ImageOrientationPatient
+            w.createElement('00280002', 'US', 1), // SamplesPerPixel
+            w.createElement('00280004', 'CS', volume.inverted ? 'MONOCHROME1' : 'MONOCHROME2'), // PhotometricInterpretation
+            w.createElement('00280010', 'US', rows), // Rows
+            w.createElement('00280011', 'US', columns), // Columns
+            w.createElement('00280030', 'DS', [this.decimal(spacing[axes.row]), this.decimal(spacing[axes.column])]), // PixelSpacing
+            w.createElement('00280100', 'US', 16), // BitsAllocated
+            w.createElement('00280101', 'US', 16), // BitsStored
+            w.createElement('00280102', 'US', 15), // HighBit
+            w.createElement('00280103', 'US', rescale.signed ? 1 : 0), // PixelRepresentation
+            w.createElement('00281052', 'DS', this.decimal(rescale.intercept)), // RescaleIntercept
+            w.createElement('00281053', 'DS', this.decimal(rescale.slope)) // RescaleSlope
+        ];
+        if (window) {
+            series.push(w.createElement('00281050', 'DS', this.decimal(window.center))); // WindowCenter
+            series.push(w.createElement('00281051', 'DS', this.decimal(window.width))); // WindowWidth
+        }
+        if (sopClassUID === this.sopClasses.CT) {
+            series.push(w.createElement('00180060', 'DS', '')); // KVP (type 2)
+            series.push(w.createElement('00200012', 'IS', '')); // AcquisitionNumber (type 2)
+        }
+        if (sopClassUID === this.secondaryCaptureClass) {
+            series.push(w.createElement('00080064', 'CS', 'WSD')); // ConversionType
+        }
+
+        const files = [];
+        const strides = [1, dims[0], dims[0] * dims[1]];
+        for (let s = 0; s < sliceCount; s++) {
+            const pixels = rescale.signed ? new Int16Array(rows * columns) : new Uint16Array(rows * columns);
+            for (let r = 0; r < rows; r++) {
+                const rowIndex = flipRows ? rows - 1 - r : r;
+                const base = s * strides[axes.slice] + rowIndex * strides[axes.row];
+                for (let c = 0; c < columns; c++) {
+                    const value = volume.data[base + c * strides[axes.column]];
+                    pixels[r * columns + c] = Math.round((value - rescale.intercept) / rescale.slope);
+                }
+            }
+
+            // Patient position of the slice's first pixel
+            const index = [0, 0, 0];
+            index[axes.slice] = s;
+            index[axes.row] = flipRows ? rows - 1 : 0;
+            const position = this.voxelPosition(volume, index);
+
+            const elements = [
+                ...series,
+                w.createElement('00080018', 'UI', w.createUid()), // SOPInstanceUID
+                w.createElement('00200013', 'IS', s + 1), // InstanceNumber
+                w.createElement('00200032', 'DS', position.map(v => this.decimal(v))), // ImagePositionPatient
+                w.createElement('7FE00010', 'OW', new Uint8Array(pixels.buffer)) // PixelData (little endian)
+            ];
+            files.push({ name: `IM${String(s + 1).padStart(5, '0')}.dcm`, data: w.write(elements) });
+        }
+        return files;
+    }
+
+    // Patient and study attributes of the source, or empty type 2 values and a new
+    // study when there is no DICOM source
+    studyElements(metadata) {
+        const elements = [];
+        for (const [tag, vr] of this.studyAttributes) {
+            const value = metadata[tag];
+            if (tag === '0020000D') {
+                elements.push(this.writer.createElement(tag, vr, value || this.writer.createUid()));
+            } else if (typeof value === 'string' || typeof value === 'number') {
+                elements.push(this.writer.createElement(tag, vr, value));
+            } else {
+                elements.push(this.writer.createElement(tag, vr, ''));
+            }
+        }
+        return elements;
+    }
+
+    seriesElements(modality, seriesDescription, seriesNumber) {
+        const w = this.writer;
+        return [
+            w.createElement('00080060', 'CS', modality), // Modality
+            w.createElement('00080070', 'LO', ''), // Manufacturer (type 2)
+            w.createElement('0008103E', 'LO', seriesDescription), // SeriesDescription
+            w.createElement('0020000E', 'UI', w.createUid()), // SeriesInstanceUID
+            w.createElement('00200011', 'IS', seriesNumber), // SeriesNumber
+            w.createElement('00200020', 'CS', '') // PatientOrientation (type 2C)
+        ];
+    }
+
+    // Date and time elements set to now
+    dateTimeElements([dateTag, timeTag]) {
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        return [
+            this.writer.createElement(dateTag, 'DA', `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`),
+            this.writer.createElement(timeTag, 'TM', `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`)
+        ];
+    }
+
+    // Stored 16-bit values for the volume's values: integers within the int16 range
+    // are kept as they are; anything else is spread over uint16 with a rescale
+    storedRescale(data, range) {
+        const [minValue, maxValue] = range || new RawVolumeReader().valueRange(data);
+        const integral = data instanceof Int16Array || data instanceof Uint8Array || data instanceof Int8Array ||
+            (data instanceof Uint16Array && maxValue <= 32767);
+        if (integral && minValue >= -32768 && maxValue <= 32767) {
+            return { signed: true, slope: 1, intercept: 0 };
+        }
+        return { signed: false, slope: (maxValue - minValue) / 65535 || 1, intercept: minValue };
+    }
+
+    // Patient coordinates of a voxel index through the volume's affine
+    voxelPosition(volume, index) {
+        const a = volume.affine;
+        if (!a) {
+            const spacing = volume.spacing || [1, 1, 1];
+            const origin = volume.origin || [0, 0, 0];
+            return [0, 1, 2].map(r => origin[r] + index[r] * spacing[r]);
+        }
+        return [0, 1, 2].map(r => a[r * 4] * index[0] + a[r * 4 + 1] * index[1] + a[r * 4 + 2] * index[2] + a[r * 4 + 3]);
+    }
+
+    // A number as a Decimal String (at most 16 characters)
+    decimal(value) {
+        if (Number.isInteger(value)) {
+            return String(value);
+        }
+        let text = String(Number(value.toPrecision(10)));
+        if (text.length > 16) {
+            text = value.toExponential(8);
+        }
+        return text;
+    }
+}
@@ -0,0 +1,198 @@
+// Parsed DICOM dataset: every data element with its tag, VR, offset and length,
+// decoded on demand through typed accessors. Elements can be addressed by tag
+// ('00180060') or by dictionary keyword ('KVP').
+class DicomDataset {
+    constructor(view, dictionary) {
+        this.view = view;
+        this.dictionary = dictionary;
+
+        // tag -> { tag, vr, offset, length, valueOffset, littleEndian, items }. Byte order
+        // is kept per element because the file meta group is always little endian.
+        this.elements = new Map();
+
+        // Problems skipped over while reading the elements, including nested items
+        this.warnings = [];
+
+        // VRs decoded as plain text
+        this.textVRs = ['AE', 'AS', 'CS', 'DA', 'DT', 'LO', 'LT', 'PN', 'SH', 'ST', 'TM', 'UC', 'UI', 'UR', 'UT'];
+
+        // Binary numeric VRs: bytes per value and DataView getter
+        this.binaryVRs = {
+            US: [2, 'getUint16'],
+            SS: [2, 'getInt16'],
+            UL: [4, 'getUint32'],
+            SL: [4, 'getInt32'],
+            FL: [4, 'getFloat32'],
+            FD: [8, 'getFloat64'],
+            SV: [8, 'getBigInt64'],
+            UV: [8, 'getBigUint64']
+        };
+    }
+
+    // Record an element header. Sequences also carry their parsed item datasets.
+    add(element) {
+        this.elements.set(element.tag, element);
+    }
+
+    // Element record for a tag or keyword, or undefined when absent
+    element(tagOrKeyword) {
+        return this.elements.get(this.dictionary.resolveTag(tagOrKeyword));
+    }
+
+    has(tagOrKeyword) {
+        return this.element(tagOrKeyword) !== undefined;
+    }
+
+    // Tags of all elements, in file order
+    tags() {
+        return Array.from(this.elements.keys());
+    }
+
+    // Keyword of a tag, if the dictionary knows it
+    keyword(tag) {
+        const entry = this.dictionary.lookup(tag);
+        return entry ? entry.name : undefined;
+    }
+
+    // Raw value bytes of an element (a view into the file buffer)
+    bytes(tagOrKeyword) {
+        const element = this.element(tagOrKeyword);
+        if (!element || element.length === 0xFFFFFFFF) {
+            return undefined;
+        }
+        const length = Math.min(element.length, this.view.byteLength - element.valueOffset);
+        return new Uint8Array(this.view.buffer, this.view.byteOffset + element.valueOffset, length);
+    }
+
+    // Text value with NUL and space padding removed
+    string(tagOrKeyword) {
+        const bytes = this.bytes(tagOrKeyword);
+        if (bytes === undefined) {
+            return undefined;
+        }
+
+        let str = '';
+        for (let i = 0; i < bytes.length; i++) {
+            str += String.fromCharCode(bytes[i]);
+        }
+        return str.replace(/[\0 ]+$/, '').trim();
+    }
+
+    // Decimal String value at index, or undefined when absent or not a number
+    floatString(tagOrKeyword, index = 0) {
+        const values = this.stringValues(tagOrKeyword);
+        const value = values && values[index] !== undefined ? parseFloat(values[index]) : NaN;
+        return isNaN(value) ? undefined : value;
+    }
+
+    // Integer String value at index, or undefined when absent or not a number
+    intString(tagOrKeyword, index = 0) {
+        const values = this.stringValues(tagOrKeyword);
+        const value = values && values[index] !== undefined ? parseInt(values[index], 10) : NaN;
+        return isNaN(value) ? undefined : value;
+    }
+
+    // Unsigned Short value at index
+    uint16(tagOrKeyword, index = 0) {
+        const element = this.element(tagOrKeyword);
+        if (!element || (index + 1) * 2 > element.length) {
+            return undefined;
+        }
+        return this.view.getUint16(element.valueOffset + index * 2, element.littleEndian);
+    }
+
+    // All values of an element, typed by its VR: strings for text, numbers for
+    // DS/IS and binary numeric VRs, 'GGGGEEEE' strings for AT
+    multiValue(tagOrKeyword) {
+        const element = this.element(tagOrKeyword);
+        if (!element) {
+            return undefined;
+        }
+
+        const vr = element.vr;
+        if (vr === 'DS' || vr === 'IS') {
+            return this.stringValues(tagOrKeyword).map(Number);
+        }
+        if (vr === 'LT' || vr === 'ST' || vr === 'UT' || vr === 'UR') { // Backslash is not a delimiter here
+            return [this.string(tagOrKeyword)];
+        }
+        if (this.textVRs.includes(vr)) {
+            return this.stringValues(tagOrKeyword);
+        }
+        if (vr === 'AT') {
+            const values = [];
+            for (let i = 0; i + 4 <= element.length; i += 4) {
+                const group = this.view.getUint16(element.valueOffset + i, element.littleEndian);
+                const elementNumber = this.view.getUint16(element.valueOffset + i + 2, element.littleEndian);
+                values.push((group.toString(16).padStart(4, '0') + elementNumber.toString(16).padStart(4, '0')).toUpperCase());
+            }
+            return values;
+        }
+        if (this.binaryVRs[vr]) {
+            const [size, getter] = this.binaryVRs[vr];
+            const values = [];
+            for (let i = 0; i + size <= element.length; i += size) {
+                values.push(this.view[getter](element.valueOffset + i, element.littleEndian));
+            }
+            return values;
+        }
+
+        return undefined;
+    }
+
+    // Item datasets of a sequence (empty for an absent or empty sequence)
+    sequence(tagOrKeyword) {
+        const element = this.element(tagOrKeyword);
+        return element && element.items ? element.items : [];
+    }
+
+    // Backslash separated values of a text element
+    stringValues(tagOrKeyword) {
+        const str = this.string(tagOrKeyword);
+        if (str === undefined) {
+            return undefined;
+        }
+        return str === '' ? [] : str.split('\\').map(value => value.trim());
+    }
+
+    // Value in its natural form: nested metadata for sequences, the full string for
+    // text, a number for single valued numbers and an array when the dictionary
+    // gives a fixed multiplicity above one (PixelSpacing, ImagePositionPatient).
+    // Bulk data (OB, OW, UN, ...) has no natural value.
+    value(tagOrKeyword) {
+        const element = this.element(tagOrKeyword);
+        if (!element) {
+            return undefined;
+        }
+        if (element.items) {
+            return element.items.map(item => item.toMetadata());
+        }
+        if (this.textVRs.includes(element.vr)) {
+            return this.string(tagOrKeyword);
+        }
+
+        const values = this.multiValue(tagOrKeyword);
+        if (values === undefined || values.length === 0) {
+            return undefined;
+        }
+
+        const entry = this.dictionary.lookup(element.tag);
+        const vm = entry ? entry.vm : (values.length > 1 ? 'n' : '1');
+        if (/^\d+$/.test(vm) && vm !== '1') {
+            return values;
+        }
+        return vm === 'n' ? values : values[0];
+    }
+
+    // Plain tag -> value object of every element with a natural value
+    toMetadata() {
+        const metadata = {};
+        for (const tag of this.elements.keys()) {
+            const value = this.value(tag);
+            if (value !== undefined) {
+                metadata[tag] = value;
+            }
+        }
+        return metadata;
+    }
+}
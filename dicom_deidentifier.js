@@ -0,0 +1,247 @@
+// De-identification following the DICOM PS3.15 Annex E Basic Application Level
+// Confidentiality Profile. Identifying attributes are removed (X), emptied (Z) or
+// given dummy values (D), private attributes, curves and overlay comments are
+// removed, and every instance UID is replaced. One DicomDeidentifier maps each
+// original UID to the same new UID every time, so the files of a series (and the
+// references between them) stay consistent. Attributes of unknown VR (UN, as
+// implicit VR files give attributes missing from the dictionary) are removed.
+// Pixel data is copied unchanged: text burned into the images is not removed.
+class DicomDeidentifier {
+    constructor({ patientName = 'ANONYMOUS', patientId = 'ANONYMOUS' } = {}) {
+        this.parser = new DicomParser();
+        this.writer = new DicomWriter();
+
+        // Replacements for the patient's name and ID (Z in the profile)
+        this.patientName = patientName;
+        this.patientId = patientId;
+
+        // Original UID -> new UID
+        this.uidMap = new Map();
+
+        // Attributes of PS3.15 Table E.1-1 whose UIDs are replaced (U). They are
+        // known by tag because implicit VR files only give their VR when the
+        // dictionary has them; any other attribute with VR UI is replaced too.
+        this.uidTags = new Set([
+            '00080014', // InstanceCreatorUID
+            '00080018', // SOPInstanceUID
+            '00080058', // FailedSOPInstanceUIDList
+            '0008010D', // ContextGroupExtensionCreatorUID
+            '00081155', // ReferencedSOPInstanceUID
+            '00081195', // TransactionUID
+            '00083010', // IrradiationEventUID
+            '00181002', // DeviceUID
+            '0020000D', // StudyInstanceUID
+            '0020000E', // SeriesInstanceUID
+            '00200052', // FrameOfReferenceUID
+            '00200200', // SynchronizationFrameOfReferenceUID
+            '00209161', // ConcatenationUID
+            '00209164', // DimensionOrganizationUID
+            '00281199', // PaletteColorLookupTableUID
+            '00281214', // LargePaletteColorLookupTableUID
+            '00404023', // ReferencedGeneralPurposeScheduledProcedureStepTransactionUID
+            '0040A124', // UID
+            '0040A171', // ObservationUID
+            '0040A172', // ReferencedObservationUIDTrial
+            '0040A402', // ObservationSubjectUIDTrial
+            '0040DB0C', // TemplateExtensionOrganizationUID
+            '0040DB0D', // TemplateExtensionCreatorUID
+            '0070031A', // FiducialUID
+            '00880140', // StorageMediaFileSetUID
+            '30060024', // ReferencedFrameOfReferenceUID
+            '300600C2', // RelatedFrameOfReferenceUID
+            '300A0013'  // DoseReferenceUID
+        ]);
+
+        // Actions of PS3.15 Table E.1-1 for the other attributes the profile does not keep
+        this.actions = {
+            '00080023': 'D', // ContentDate
+            '00080033': 'D', // ContentTime
+            '00080020': 'Z', // StudyDate
+            '00080030': 'Z', // StudyTime
+            '00080050': 'Z', // AccessionNumber
+            '00080090': 'Z', // ReferringPhysicianName
+            '00100030': 'Z', // PatientBirthDate
+            '00100040': 'Z', // PatientSex
+            '00200010': 'Z', // StudyID
+            '00402016': 'Z', // PlacerOrderNumberImagingServiceRequest
+            '00402017': 'Z', // FillerOrderNumberImagingServiceRequest
+            '00080021': 'X', // SeriesDate
+            '00080022': 'X', // AcquisitionDate
+            '0008002A': 'X', // AcquisitionDateTime
+            '00080031': 'X', // SeriesTime
+            '00080032': 'X', // AcquisitionTime
+            '00080080': 'X', // InstitutionName
+            '00080081': 'X', // InstitutionAddress
+            '00080082': 'X', // InstitutionCodeSequence
+            '00080092': 'X', // ReferringPhysicianAddress
+            '00080094': 'X', // ReferringPhysicianTelephoneNumbers
+            '00080096': 'X', // ReferringPhysicianIdentificationSequence
+            '0008009C': 'X', // ConsultingPhysicianName
+            '00080201': 'X', // TimezoneOffsetFromUTC
+            '00081010': 'X', // StationName
+            '00081030': 'X', // StudyDescription
+            '0008103E': 'X', // SeriesDescription
+            '00081040': 'X', // InstitutionalDepartmentName
+            '00081048': 'X', // PhysiciansOfRecord
+            '00081049': 'X', // PhysiciansOfRecordIdentificationSequence
+            '00081050': 'X', // PerformingPhysicianName
+            '00081052': 'X', // PerformingPhysicianIdentificationSequence
+            '00081060': 'X', // NameOfPhysiciansReadingStudy
+            '00081062': 'X', // PhysiciansReadingStudyIdentificationSequence
+            '00081070': 'X', // OperatorsName
+            '00081072': 'X', // OperatorIdentificationSequence
+            '00081080': 'X', // AdmittingDiagnosesDescription
+            '00081084': 'X', // AdmittingDiagnosesCodeSequence
+            '00081110': 'X', // ReferencedStudySequence
+            '00081111': 'X', // ReferencedPerformedProcedureStepSequence
+            '00081120': 'X', // ReferencedPatientSequence
+            '00082111': 'X', // DerivationDescription
+            '00100021': 'X', // IssuerOfPatientID
+            '00100032': 'X', // PatientBirthTime
+            '00101000': 'X', // OtherPatientIDs
+            '00101001': 'X', // OtherPatientNames
+            '00101002': 'X', // OtherPatientIDsSequence
+            '00101005': 'X', // PatientBirthName
+            '00101010': 'X', // PatientAge
+            '00101020': 'X', // PatientSize
+            '00101030': 'X', // PatientWeight
+            '00101040': 'X', // PatientAddress
+            '00101060': 'X', // PatientMotherBirthName
+            '00101080': 'X', // MilitaryRank
+            '00101081': 'X', // BranchOfService
+            '00101090': 'X', // MedicalRecordLocator
+            '00102000': 'X', // MedicalAlerts
+            '00102110': 'X', // Allergies
+            '00102150': 'X', // CountryOfResidence
+            '00102152': 'X', // RegionOfResidence
+            '00102154': 'X', // PatientTelephoneNumbers
+            '00102160': 'X', // EthnicGroup
+            '00102180': 'X', // Occupation
+            '001021A0': 'X', // SmokingStatus
+            '001021B0': 'X', // AdditionalPatientHistory
+            '001021C0': 'X', // PregnancyStatus
+            '001021D0': 'X', // LastMenstrualDate
+            '001021F0': 'X', // PatientReligiousPreference
+            '00104000': 'X', // PatientComments
+            '00181000': 'X', // DeviceSerialNumber
+            '00181004': 'X', // PlateID
+            '00181005': 'X', // GeneratorID
+            '00181007': 'X', // CassetteID
+            '00181030': 'X', // ProtocolName
+            '00181400': 'X', // AcquisitionDeviceProcessingDescription
+            '0018700A': 'X', // DetectorID
+            '00189424': 'X', // AcquisitionProtocolDescription
+            '00204000': 'X', // ImageComments
+            '00321032': 'X', // RequestingPhysician
+            '00321033': 'X', // RequestingService
+            '00321060': 'X', // RequestedProcedureDescription
+            '00321070': 'X', // RequestedContrastAgent
+            '00324000': 'X', // StudyComments
+            '00380010': 'X', // AdmissionID
+            '00380300': 'X', // CurrentPatientLocation
+            '00380400': 'X', // PatientInstitutionResidence
+            '00380500': 'X', // PatientState
+            '00400006': 'X', // ScheduledPerformingPhysicianName
+            '00400241': 'X', // PerformedStationAETitle
+            '00400242': 'X', // PerformedStationName
+            '00400243': 'X', // PerformedLocation
+            '00400244': 'X', // PerformedProcedureStepStartDate
+            '00400245': 'X', // PerformedProcedureStepStartTime
+            '00400253': 'X', // PerformedProcedureStepID
+            '00400254': 'X', // PerformedProcedureStepDescription
+            '00400275': 'X', // RequestAttributesSequence
+            '00400280': 'X', // CommentsOnThePerformedProcedureStep
+            '00401001': 'X', // RequestedProcedureID
+            '00401400': 'X', // RequestedProcedureComments
+            '0040A730': 'X', // ContentSequence
+            '40084000': 'X'  // ResultsComments
+        };
+
+        // Dummy values by VR for D actions
+        this.dummyValues = { DA: '19000101', TM: '000000', DT: '19000101000000', PN: 'ANONYMOUS' };
+    }
+
+    // A de-identified copy of a DICOM file, in the transfer syntax of the original
+    deidentifyFile(arrayBuffer) {
+        const { dataset, syntax } = this.parser.parseDataset(arrayBuffer);
+        const elements = this.deidentifyElements(this.writer.elementsFromDataset(dataset));
+
+        // The profile's record of what was done to the attributes
+        const writer = this.writer;
+        writer.setElement(elements, writer.createElement('00120062', 'CS', 'YES')); // PatientIdentityRemoved
+        writer.setElement(elements, writer.createElement('00120063', 'LO', 'DICOM PS3.15 Basic Application Level Confidentiality Profile'));
+        writer.setElement(elements, { // DeidentificationMethodCodeSequence
+            tag: '00120064',
+            vr: 'SQ',
+            items: [[
+                writer.createElement('00080100', 'SH', '113100'), // CodeValue
+                writer.createElement('00080102', 'SH', 'DCM'), // CodingSchemeDesignator
+                writer.createElement('00080104', 'LO', 'Basic Application Confidentiality Profile') // CodeMeaning
+            ]]
+        });
+
+        return writer.write(elements, writer.transferSyntaxOf(dataset, syntax));
+    }
+
+    // Apply the profile to a list of elements (see DicomWriter), items of sequences included
+    deidentifyElements(elements) {
+        const result = [];
+        for (const element of elements) {
+            const tag = element.tag;
+            const group = parseInt(tag.slice(0, 4), 16);
+
+            // Private attributes, curves (50xx) and overlay comments and data (60xx)
+            if (group % 2 === 1 || (group >= 0x5000 && group <= 0x50FF) ||
+                (group >= 0x6000 && group <= 0x60FF && (tag.endsWith('4000') || tag.endsWith('3000')))) {
+                continue;
+            }
+
+            if (tag === '00100010') {
+                result.push(this.writer.createElement(tag, 'PN', this.patientName));
+                continue;
+            }
+            if (tag === '00100020') {
+                result.push(this.writer.createElement(tag, 'LO', this.patientId));
+                continue;
+            }
+
+            const action = this.actions[tag];
+            if (action === 'X') {
+                continue;
+            }
+            if (action === 'Z') {
+                result.push({ tag, vr: element.vr, bytes: new Uint8Array(0) });
+                continue;
+            }
+            if (action === 'D') {
+                result.push(this.writer.createElement(tag, element.vr, this.dummyValues[element.vr] || 'ANONYMOUS'));
+                continue;
+            }
+
+            if (element.items) {
+                result.push({ ...element, items: element.items.map(item => this.deidentifyElements(item)) });
+            } else if (this.uidTags.has(tag) || element.vr === 'UI') {
+                const uids = String.fromCharCode(...element.bytes).replace(/[\0 ]+$/, '').split('\\');
+                result.push(this.writer.createElement(tag, 'UI', uids.map(uid => this.mapUid(uid.trim()))));
+            } else if (element.vr === 'UN') {
+                // Unknown attributes may hold anything
+                continue;
+            } else {
+                result.push(element);
+            }
+        }
+        return result;
+    }
+
+    // The replacement of an instance UID. Well-known UIDs defined by the standard
+    // (SOP classes, transfer syntaxes, coding schemes) identify nobody and are kept.
+    mapUid(uid) {
+        if (uid === '' || uid.startsWith('1.2.840.10008.')) {
+            return uid;
+        }
+        if (!this.uidMap.has(uid)) {
+            this.uidMap.set(uid, this.writer.createUid());
+        }
+        return this.uidMap.get(uid);
+    }
+}
@@ -0,0 +1,224 @@
+// Built-in DICOM data dictionary (PS3.6): keyword, VR and value multiplicity of
+// the attributes the viewer and its tooling commonly read. Used to resolve the VR
+// of implicit VR elements and to look elements up by keyword.
+class DicomDictionary {
+    constructor() {
+        this.entries = {
+            // File Meta Information
+            '00020000': { name: 'FileMetaInformationGroupLength', vr: 'UL', vm: '1' },
+            '00020001': { name: 'FileMetaInformationVersion', vr: 'OB', vm: '1' },
+            '00020002': { name: 'MediaStorageSOPClassUID', vr: 'UI', vm: '1' },
+            '00020003': { name: 'MediaStorageSOPInstanceUID', vr: 'UI', vm: '1' },
+            '00020010': { name: 'TransferSyntaxUID', vr: 'UI', vm: '1' },
+            '00020012': { name: 'ImplementationClassUID', vr: 'UI', vm: '1' },
+            '00020013': { name: 'ImplementationVersionName', vr: 'SH', vm: '1' },
+            '00020016': { name: 'SourceApplicationEntityTitle', vr: 'AE', vm: '1' },
+
+            // Directory (DICOMDIR)
+            '00041130': { name: 'FileSetID', vr: 'CS', vm: '1' },
+            '00041200': { name: 'OffsetOfTheFirstDirectoryRecordOfTheRootDirectoryEntity', vr: 'UL', vm: '1' },
+            '00041202': { name: 'OffsetOfTheLastDirectoryRecordOfTheRootDirectoryEntity', vr: 'UL', vm: '1' },
+            '00041212': { name: 'FileSetConsistencyFlag', vr: 'US', vm: '1' },
+            '00041220': { name: 'DirectoryRecordSequence', vr: 'SQ', vm: '1' },
+            '00041400': { name: 'OffsetOfTheNextDirectoryRecord', vr: 'UL', vm: '1' },
+            '00041410': { name: 'RecordInUseFlag', vr: 'US', vm: '1' },
+            '00041420': { name: 'OffsetOfReferencedLowerLevelDirectoryEntity', vr: 'UL', vm: '1' },
+            '00041430': { name: 'DirectoryRecordType', vr: 'CS', vm: '1' },
+            '00041500': { name: 'ReferencedFileID', vr: 'CS', vm: '1-8' },
+            '00041510': { name: 'ReferencedSOPClassUIDInFile', vr: 'UI', vm: '1' },
+            '00041511': { name: 'ReferencedSOPInstanceUIDInFile', vr: 'UI', vm: '1' },
+            '00041512': { name: 'ReferencedTransferSyntaxUIDInFile', vr: 'UI', vm: '1' },
+
+            // SOP Common, General Study/Series/Equipment
+            '00080005': { name: 'SpecificCharacterSet', vr: 'CS', vm: '1-n' },
+            '00080008': { name: 'ImageType', vr: 'CS', vm: '2-n' },
+            '00080012': { name: 'InstanceCreationDate', vr: 'DA', vm: '1' },
+            '00080013': { name: 'InstanceCreationTime', vr: 'TM', vm: '1' },
+            '00080016': { name: 'SOPClassUID', vr: 'UI', vm: '1' },
+            '00080018': { name: 'SOPInstanceUID', vr: 'UI', vm: '1' },
+            '00080020': { name: 'StudyDate', vr: 'DA', vm: '1' },
+            '00080021': { name: 'SeriesDate', vr: 'DA', vm: '1' },
+            '00080022': { name: 'AcquisitionDate', vr: 'DA', vm: '1' },
+            '00080023': { name: 'ContentDate', vr: 'DA', vm: '1' },
+            '0008002A': { name: 'AcquisitionDateTime', vr: 'DT', vm: '1' },
+            '00080030': { name: 'StudyTime', vr: 'TM', vm: '1' },
+            '00080031': { name: 'SeriesTime', vr: 'TM', vm: '1' },
+            '00080032': { name: 'AcquisitionTime', vr: 'TM', vm: '1' },
+            '00080033': { name: 'ContentTime', vr: 'TM', vm: '1' },
+            '00080050': { name: 'AccessionNumber', vr: 'SH', vm: '1' },
+            '00080060': { name: 'Modality', vr: 'CS', vm: '1' },
+            '00080064': { name: 'ConversionType', vr: 'CS', vm: '1' },
+            '00080070': { name: 'Manufacturer', vr: 'LO', vm: '1' },
+            '00080080': { name: 'InstitutionName', vr: 'LO', vm: '1' },
+            '00080081': { name: 'InstitutionAddress', vr: 'ST', vm: '1' },
+            '00080090': { name: 'ReferringPhysicianName', vr: 'PN', vm: '1' },
+            '00080100': { name: 'CodeValue', vr: 'SH', vm: '1' },
+            '00080102': { name: 'CodingSchemeDesignator', vr: 'SH', vm: '1' },
+            '00080104': { name: 'CodeMeaning', vr: 'LO', vm: '1' },
+            '00081010': { name: 'StationName', vr: 'SH', vm: '1' },
+            '00081030': { name: 'StudyDescription', vr: 'LO', vm: '1' },
+            '0008103E': { name: 'SeriesDescription', vr: 'LO', vm: '1' },
+            '00081040': { name: 'InstitutionalDepartmentName', vr: 'LO', vm: '1' },
+            '00081050': { name: 'PerformingPhysicianName', vr: 'PN', vm: '1-n' },
+            '00081070': { name: 'OperatorsName', vr: 'PN', vm: '1-n' },
+            '00081090': { name: 'ManufacturerModelName', vr: 'LO', vm: '1' },
+            '00081140': { name: 'ReferencedImageSequence', vr: 'SQ', vm: '1' },
+            '00081150': { name: 'ReferencedSOPClassUID', vr: 'UI', vm: '1' },
+            '00081155': { name: 'ReferencedSOPInstanceUID', vr: 'UI', vm: '1' },
+            '00082111': { name: 'DerivationDescription', vr: 'ST', vm: '1' },
+            '00089205': { name: 'PixelPresentation', vr: 'CS', vm: '1' },
+            '00089206': { name: 'VolumetricProperties', vr: 'CS', vm: '1' },
+
+            // Patient
+            '00100010': { name: 'PatientName', vr: 'PN', vm: '1' },
+            '00100020': { name: 'PatientID', vr: 'LO', vm: '1' },
+            '00100030': { name: 'PatientBirthDate', vr: 'DA', vm: '1' },
+            '00100040': { name: 'PatientSex', vr: 'CS', vm: '1' },
+            '00101010': { name: 'PatientAge', vr: 'AS', vm: '1' },
+            '00101020': { name: 'PatientSize', vr: 'DS', vm: '1' },
+            '00101030': { name: 'PatientWeight', vr: 'DS', vm: '1' },
+
+            // De-identification
+            '00120062': { name: 'PatientIdentityRemoved', vr: 'CS', vm: '1' },
+            '00120063': { name: 'DeidentificationMethod', vr: 'LO', vm: '1-n' },
+            '00120064': { name: 'DeidentificationMethodCodeSequence', vr: 'SQ', vm: '1' },
+
+            // Acquisition (CT / MR)
+            '00180010': { name: 'ContrastBolusAgent', vr: 'LO', vm: '1' },
+            '00180015': { name: 'BodyPartExamined', vr: 'CS', vm: '1' },
+            '00180020': { name: 'ScanningSequence', vr: 'CS', vm: '1-n' },
+            '00180022': { name: 'ScanOptions', vr: 'CS', vm: '1-n' },
+            '00180023': { name: 'MRAcquisitionType', vr: 'CS', vm: '1' },
+            '00180024': { name: 'SequenceName', vr: 'SH', vm: '1' },
+            '00180050': { name: 'SliceThickness', vr: 'DS', vm: '1' },
+            '00180060': { name: 'KVP', vr: 'DS', vm: '1' },
+            '00180080': { name: 'RepetitionTime', vr: 'DS', vm: '1' },
+            '00180081': { name: 'EchoTime', vr: 'DS', vm: '1' },
+            '00180082': { name: 'InversionTime', vr: 'DS', vm: '1' },
+            '00180087': { name: 'MagneticFieldStrength', vr: 'DS', vm: '1' },
+            '00180088': { name: 'SpacingBetweenSlices', vr: 'DS', vm: '1' },
+            '00180090': { name: 'DataCollectionDiameter', vr: 'DS', vm: '1' },
+            '00181000': { name: 'DeviceSerialNumber', vr: 'LO', vm: '1' },
+            '00181020': { name: 'SoftwareVersions', vr: 'LO', vm: '1-n' },
+            '00181030': { name: 'ProtocolName', vr: 'LO', vm: '1' },
+            '00181100': { name: 'ReconstructionDiameter', vr: 'DS', vm: '1' },
+            '00181110': { name: 'DistanceSourceToDetector', vr: 'DS', vm: '1' },
+            '00181111': { name: 'DistanceSourceToPatient', vr: 'DS', vm: '1' },
+            '00181120': { name: 'GantryDetectorTilt', vr: 'DS', vm: '1' },
+            '00181130': { name: 'TableHeight', vr: 'DS', vm: '1' },
+            '00181140': { name: 'RotationDirection', vr: 'CS', vm: '1' },
+            '00181150': { name: 'ExposureTime', vr: 'IS', vm: '1' },
+            '00181151': { name: 'XRayTubeCurrent', vr: 'IS', vm: '1' },
+            '00181152': { name: 'Exposure', vr: 'IS', vm: '1' },
+            '00181160': { name: 'FilterType', vr: 'SH', vm: '1' },
+            '00181170': { name: 'GeneratorPower', vr: 'IS', vm: '1' },
+            '00181190': { name: 'FocalSpots', vr: 'DS', vm: '1-n' },
+            '00181210': { name: 'ConvolutionKernel', vr: 'SH', vm: '1-n' },
+            '00181314': { name: 'FlipAngle', vr: 'DS', vm: '1' },
+            '00185100': { name: 'PatientPosition', vr: 'CS', vm: '1' },
+            '00189306': { name: 'SingleCollimationWidth', vr: 'FD', vm: '1' },
+            '00189307': { name: 'TotalCollimationWidth', vr: 'FD', vm: '1' },
+            '00189310': { name: 'TableFeedPerRotation', vr: 'FD', vm: '1' },
+            '00189311': { name: 'SpiralPitchFactor', vr: 'FD', vm: '1' },
+            '00189345': { name: 'CTDIvol', vr: 'FD', vm: '1' },
+
+            // Relationship and Image Plane
+            '0020000D': { name: 'StudyInstanceUID', vr: 'UI', vm: '1' },
+            '0020000E': { name: 'SeriesInstanceUID', vr: 'UI', vm: '1' },
+            '00200010': { name: 'StudyID', vr: 'SH', vm: '1' },
+            '00200011': { name: 'SeriesNumber', vr: 'IS', vm: '1' },
+            '00200012': { name: 'AcquisitionNumber', vr: 'IS', vm: '1' },
+            '00200013': { name: 'InstanceNumber', vr: 'IS', vm: '1' },
+            '00200020': { name: 'PatientOrientation', vr: 'CS', vm: '2' },
+            '00200032': { name: 'ImagePositionPatient', vr: 'DS', vm: '3' },
+            '00200037': { name: 'ImageOrientationPatient', vr: 'DS', vm: '6' },
+            '00200052': { name: 'FrameOfReferenceUID', vr: 'UI', vm: '1' },
+            '00201040': { name: 'PositionReferenceIndicator', vr: 'LO', vm: '1' },
+            '00201041': { name: 'SliceLocation', vr: 'DS', vm: '1' },
+            '00204000': { name: 'ImageComments', vr: 'LT', vm: '1' },
+            '00209056': { name: 'StackID', vr: 'SH', vm: '1' },
+            '00209057': { name: 'InStackPositionNumber', vr: 'UL', vm: '1' },
+            '00209111': { name: 'FrameContentSequence', vr: 'SQ', vm: '1' },
+            '00209113': { name: 'PlanePositionSequence', vr: 'SQ', vm: '1' },
+            '00209116': { name: 'PlaneOrientationSequence', vr: 'SQ', vm: '1' },
+            '00209128': { name: 'TemporalPositionIndex', vr: 'UL', vm: '1' },
+            '00209157': { name: 'DimensionIndexValues', vr: 'UL', vm: '1-n' },
+
+            // Image Pixel, Presentation and Modality LUT
+            '00280002': { name: 'SamplesPerPixel', vr: 'US', vm: '1' },
+            '00280004': { name: 'PhotometricInterpretation', vr: 'CS', vm: '1' },
+            '00280006': { name: 'PlanarConfiguration', vr: 'US', vm: '1' },
+            '00280008': { name: 'NumberOfFrames', vr: 'IS', vm: '1' },
+            '00280009': { name: 'FrameIncrementPointer', vr: 'AT', vm: '1-n' },
+            '00280010': { name: 'Rows', vr: 'US', vm: '1' },
+            '00280011': { name: 'Columns', vr: 'US', vm: '1' },
+            '00280030': { name: 'PixelSpacing', vr: 'DS', vm: '2' },
+            '00280034': { name: 'PixelAspectRatio', vr: 'IS', vm: '2' },
+            '00280100': { name: 'BitsAllocated', vr: 'US', vm: '1' },
+            '00280101': { name: 'BitsStored', vr: 'US', vm: '1' },
+            '00280102': { name: 'HighBit', vr: 'US', vm: '1' },
+            '00280103': { name: 'PixelRepresentation', vr: 'US', vm: '1' },
+            '00280106': { name: 'SmallestImagePixelValue', vr: 'US', vm: '1' },
+            '00280107': { name: 'LargestImagePixelValue', vr: 'US', vm: '1' },
+            '00280120': { name: 'PixelPaddingValue', vr: 'US', vm: '1' },
+            '00280301': { name: 'BurnedInAnnotation', vr: 'CS', vm: '1' },
+            '00281050': { name: 'WindowCenter', vr: 'DS', vm: '1-n' },
+            '00281051': { name: 'WindowWidth', vr: 'DS', vm: '1-n' },
+            '00281052': { name: 'RescaleIntercept', vr: 'DS', vm: '1' },
+            '00281053': { name: 'RescaleSlope', vr: 'DS', vm: '1' },
+            '00281054': { name: 'RescaleType', vr: 'LO', vm: '1' },
+            '00281055': { name: 'WindowCenterWidthExplanation', vr: 'LO', vm: '1-n' },
+            '00282110': { name: 'LossyImageCompression', vr: 'CS', vm: '1' },
+            '00282112': { name: 'LossyImageCompressionRatio', vr: 'DS', vm: '1-n' },
+            '00282114': { name: 'LossyImageCompressionMethod', vr: 'CS', vm: '1-n' },
+            '00289110': { name: 'PixelMeasuresSequence', vr: 'SQ', vm: '1' },
+            '00289132': { name: 'FrameVOILUTSequence', vr: 'SQ', vm: '1' },
+            '00289145': { name: 'PixelValueTransformationSequence', vr: 'SQ', vm: '1' },
+
+            // Procedure and request
+            '00321060': { name: 'RequestedProcedureDescription', vr: 'LO', vm: '1' },
+            '00400244': { name: 'PerformedProcedureStepStartDate', vr: 'DA', vm: '1' },
+            '00400245': { name: 'PerformedProcedureStepStartTime', vr: 'TM', vm: '1' },
+            '00400253': { name: 'PerformedProcedureStepID', vr: 'SH', vm: '1' },
+            '00400254': { name: 'PerformedProcedureStepDescription', vr: 'LO', vm: '1' },
+
+            // Multi-frame functional groups and pixel data
+            '52009229': { name: 'SharedFunctionalGroupsSequence', vr: 'SQ', vm: '1' },
+            '52009230': { name: 'PerFrameFunctionalGroupsSequence', vr: 'SQ', vm: '1' },
+            '7FE00008': { name: 'FloatPixelData', vr: 'OF', vm: '1' },
+            '7FE00009': { name: 'DoubleFloatPixelData', vr: 'OD', vm: '1' },
+            '7FE00010': { name: 'PixelData', vr: 'OW', vm: '1' },
+            'FFFCFFFC': { name: 'DataSetTrailingPadding', vr: 'OB', vm: '1' }
+        };
+
+        // Keyword -> tag index
+        this.keywords = {};
+        for (const [tag, entry] of Object.entries(this.entries)) {
+            this.keywords[entry.name] = tag;
+        }
+    }
+
+    // Dictionary entry of a tag ('GGGGEEEE'), or undefined for unknown and private tags
+    lookup(tag) {
+        return this.entries[tag];
+    }
+
+    // Tag of a keyword such as 'KVP' or 'ConvolutionKernel'
+    tagOf(keyword) {
+        return this.keywords[keyword];
+    }
+
+    // Accept either a tag ('00180060', '(0018,0060)') or a keyword and return the tag
+    resolveTag(tagOrKeyword) {
+        const hex = tagOrKeyword.replace(/[(),\s]/g, '');
+        if (/^[0-9A-Fa-f]{8}$/.test(hex)) {
+            return hex.toUpperCase();
+        }
+
+        const tag = this.tagOf(tagOrKeyword);
+        if (!tag) {
+            throw new Error(`Unknown DICOM keyword ${tagOrKeyword}`);
+        }
+        return tag;
+    }
+}
@@ -1,174 +1,500 @@
 // Robust DICOM parser for browser
 class DicomParser {
-    constructor() {
-        // Common DICOM tags we need
-        this.tags = {
-            '00080018': 'SOPInstanceUID',
-            '00200013': 'InstanceNumber',
-            '00280010': 'Rows',
-            '00280011': 'Columns',
-            '00280100': 'BitsAllocated',
-            '00280101': 'BitsStored',
-            '00281050': 'WindowCenter',
-            '00281051': 'WindowWidth',
-            '00280030': 'PixelSpacing',
-            '00200032': 'ImagePositionPatient',
-            '00200037': 'ImageOrientationPatient',
-            '7FE00010': 'PixelData'
+    // options.strict: raise typed errors (see dicom_validation.js) for missing
+    // dimensions, short pixel data and malformed elements instead of repairing them.
+    // options.logger: where progress and recovered errors are logged (console by
+    // default; anything with log and warn)
+    constructor(options = {}) {
+        this.strict = options.strict === true;
+        this.logger = options.logger || console;
+        
+        // Keyword, VR and multiplicity of known tags (VRs of implicit VR datasets)
+        this.dictionary = new DicomDictionary();
+        
+        // Transfer syntaxes that change how the dataset itself is encoded.
+        // Anything else (the compressed syntaxes) is explicit VR little endian.
+        this.transferSyntaxes = {
+            '1.2.840.10008.1.2': { explicitVR: false, littleEndian: true },
+            '1.2.840.10008.1.2.1': { explicitVR: true, littleEndian: true },
+            '1.2.840.10008.1.2.2': { explicitVR: true, littleEndian: false }
+        };
+        
+        // Encapsulated transfer syntaxes with an in-repo decoder
+        this.compressedTransferSyntaxes = {
+            '1.2.840.10008.1.2.4.50': 'JPEG Baseline',
+            '1.2.840.10008.1.2.4.51': 'JPEG Extended',
+            '1.2.840.10008.1.2.4.57': 'JPEG Lossless',
+            '1.2.840.10008.1.2.4.70': 'JPEG Lossless SV1',
+            '1.2.840.10008.1.2.5': 'RLE Lossless'
+        };
+        
+        // Names of transfer syntaxes we recognise but cannot decode, for error messages
+        this.unsupportedTransferSyntaxes = {
+            '1.2.840.10008.1.2.1.99': 'Deflated Explicit VR Little Endian',
+            '1.2.840.10008.1.2.4.80': 'JPEG-LS Lossless',
+            '1.2.840.10008.1.2.4.81': 'JPEG-LS Near-Lossless',
+            '1.2.840.10008.1.2.4.90': 'JPEG 2000 Lossless',
+            '1.2.840.10008.1.2.4.91': 'JPEG 2000',
+            '1.2.840.10008.1.2.4.201': 'HTJ2K Lossless',
+            '1.2.840.10008.1.2.4.202': 'HTJ2K Lossless RPCL',
+            '1.2.840.10008.1.2.4.203': 'HTJ2K'
         };
+        
+        // Functional group macros whose attributes apply to a single frame
+        this.frameFunctionalGroups = [
+            '00209111', // FrameContentSequence
+            '00209113', // PlanePositionSequence
+            '00209116', // PlaneOrientationSequence
+            '00289110', // PixelMeasuresSequence
+            '00289132', // FrameVOILUTSequence
+            '00289145'  // PixelValueTransformationSequence
+        ];
+        
+        // Explicit VRs followed by 2 reserved bytes and a 4-byte length
+        this.longLengthVRs = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV'];
     }
 
-    // Parse a single DICOM file
-    async parseDicom(arrayBuffer) {
-        const view = new DataView(arrayBuffer);
-        const uint8Array = new Uint8Array(arrayBuffer);
+    // Resolve how the dataset is encoded from its transfer syntax UID
+    getTransferSyntax(uid) {
+        return this.transferSyntaxes[uid] || { explicitVR: true, littleEndian: true };
+    }
+
+    // Guess the encoding of a dataset that has no file meta information
+    guessTransferSyntax(view, offset) {
+        if (offset + 6 > view.byteLength) {
+            return this.getTransferSyntax('1.2.840.10008.1.2');
+        }
         
-        // Check for DICOM magic word at offset 128
-        let offset = 0;
+        const vr = String.fromCharCode(view.getUint8(offset + 4), view.getUint8(offset + 5));
+        if (/^[A-Z]{2}$/.test(vr)) {
+            // A big endian group number has its high byte first
+            const littleEndian = view.getUint8(offset) !== 0 || view.getUint8(offset + 1) === 0;
+            return { explicitVR: true, littleEndian };
+        }
         
-        // Skip preamble (128 bytes) and magic word ('DICM')
-        if (arrayBuffer.byteLength > 132) {
-            const magicWord = String.fromCharCode(
-                view.getUint8(128),
-                view.getUint8(129),
-                view.getUint8(130),
-                view.getUint8(131)
-            );
+        return this.getTransferSyntax('1.2.840.10008.1.2');
+    }
+
+    // Read the tag, VR and length of the data element at offset
+    readElementHeader(view, offset, syntax) {
+        const littleEndian = syntax.littleEndian;
+        const group = view.getUint16(offset, littleEndian);
+        const element = view.getUint16(offset + 2, littleEndian);
+        const tag = (group.toString(16).padStart(4, '0') + element.toString(16).padStart(4, '0')).toUpperCase();
+        
+        // Item and delimitation tags never carry a VR
+        if (group === 0xFFFE) {
+            return { tag, vr: null, length: view.getUint32(offset + 4, littleEndian), valueOffset: offset + 8 };
+        }
+        
+        if (!syntax.explicitVR) {
+            const known = this.dictionary.lookup(tag);
+            return {
+                tag,
+                vr: known ? known.vr : 'UN',
+                length: view.getUint32(offset + 4, littleEndian),
+                valueOffset: offset + 8
+            };
+        }
+        
+        const vr = String.fromCharCode(view.getUint8(offset + 4), view.getUint8(offset + 5));
+        if (this.longLengthVRs.includes(vr)) {
+            return { tag, vr, length: view.getUint32(offset + 8, littleEndian), valueOffset: offset + 12 };
+        }
+        
+        return { tag, vr, length: view.getUint16(offset + 6, littleEndian), valueOffset: offset + 8 };
+    }
+
+    // View the pixel data value in place. Only 16-bit samples that are big endian
+    // (byte swapped in a copy) or not 2-byte aligned in the file are copied.
+    readPixelData(arrayBuffer, offset, length, bitsAllocated, littleEndian) {
+        const end = Math.min(offset + length, arrayBuffer.byteLength);
+        
+        if (bitsAllocated === 16) {
+            const byteLength = (end - offset) & ~1;
+            if (littleEndian && offset % 2 === 0) {
+                return new Uint16Array(arrayBuffer, offset, byteLength / 2);
+            }
             
-            if (magicWord === 'DICM') {
-                offset = 132;
-            } else {
-                offset = 0; // Raw DICOM without preamble
+            const bytes = new Uint8Array(arrayBuffer.slice(offset, offset + byteLength));
+            if (!littleEndian) {
+                for (let i = 0; i < bytes.length; i += 2) {
+                    const tmp = bytes[i];
+                    bytes[i] = bytes[i + 1];
+                    bytes[i + 1] = tmp;
+                }
             }
+            return new Uint16Array(bytes.buffer);
         }
         
-        const metadata = {};
-        let pixelData = null;
-        let rows = 0;
-        let columns = 0;
-        let bitsAllocated = 8;
+        return new Uint8Array(arrayBuffer, offset, end - offset);
+    }
+
+    // Record the data elements between offset and end in dataset. An undefined
+    // length item has no end of its own, so the walk also stops after an Item
+    // Delimitation tag. Returns where parsing stopped and the top-level PixelData
+    // element header, if one was found.
+    parseElements(view, offset, end, syntax, dataset) {
+        let pixelDataElement = null;
+        let resyncOffset = null;
         
-        // Parse DICOM tags
-        while (offset < arrayBuffer.byteLength - 8) {
+        while (offset + 8 <= end) {
             try {
-                const group = view.getUint16(offset, true).toString(16).padStart(4, '0');
-                const element = view.getUint16(offset + 2, true).toString(16).padStart(4, '0');
-                const tag = group + element;
+                const header = this.readElementHeader(view, offset, syntax);
+                const { tag, vr, length, valueOffset } = header;
                 
-                const vr = String.fromCharCode(view.getUint8(offset + 4), view.getUint8(offset + 5));
-                let length, valueOffset;
+                if (tag === 'FFFEE00D') { // Item Delimitation
+                    return { offset: valueOffset, pixelDataElement };
+                }
                 
-                // Determine length based on VR type
-                if (['OB', 'OW', 'OF', 'SQ', 'UT', 'UN'].includes(vr)) {
-                    // Implicit VR - length is 4 bytes
-                    offset += 6;
-                    if (view.getUint32(offset, true) !== 0x00000000) {
-                        // Group Length follows
-                        offset += 4;
-                    }
-                    length = view.getUint32(offset, true);
-                    offset += 4;
-                    valueOffset = offset;
-                } else {
-                    // Explicit VR - length is 2 bytes
-                    offset += 6;
-                    if (['OB', 'OW', 'OF', 'SQ', 'UT', 'UN'].includes(vr)) {
-                        // Some VR types have 4-byte lengths even when explicit
-                        offset += 2; // Padding
-                        length = view.getUint32(offset, true);
-                        offset += 4;
-                        valueOffset = offset;
-                    } else {
-                        length = view.getUint16(offset, true);
-                        offset += 2;
-                        valueOffset = offset;
+                const element = { tag, vr, offset, length, valueOffset, littleEndian: syntax.littleEndian };
+                dataset.add(element);
+                
+                if (this.isSequence(view, header, syntax)) {
+                    // Undefined length UN sequences are always implicit VR little endian
+                    const itemSyntax = vr === 'UN' && syntax.explicitVR
+                        ? this.getTransferSyntax('1.2.840.10008.1.2')
+                        : syntax;
+                    const sequence = this.parseSequence(view, valueOffset, length, itemSyntax);
+                    element.items = sequence.items;
+                    for (const item of sequence.items) {
+                        dataset.warnings.push(...item.warnings);
                     }
+                    offset = sequence.offset;
+                    resyncOffset = null;
+                    continue;
                 }
                 
                 if (tag === '7FE00010') { // PixelData
-                    // Extract pixel data
-                    if (vr === 'OW' || vr === 'OB') {
-                        if (bitsAllocated === 16) {
-                            // 16-bit data
-                            pixelData = new Uint16Array(arrayBuffer.slice(valueOffset, valueOffset + length));
-                        } else {
-                            // 8-bit data or unknown - try both
-                            pixelData = new Uint8Array(arrayBuffer.slice(valueOffset, valueOffset + length));
-                        }
-                    }
-                } else if (tag === '00280010') { // Rows
-                    metadata[tag] = view.getUint16(valueOffset, true);
-                    rows = metadata[tag];
-                } else if (tag === '00280011') { // Columns
-                    metadata[tag] = view.getUint16(valueOffset, true);
-                    columns = metadata[tag];
-                } else if (tag === '00280100') { // BitsAllocated
-                    metadata[tag] = view.getUint16(valueOffset, true);
-                    bitsAllocated = metadata[tag];
-                } else if (tag === '00281050') { // WindowCenter
-                    if (length === 2) {
-                        metadata[tag] = view.getInt16(valueOffset, true);
-                    } else if (length === 4) {
-                        metadata[tag] = view.getInt32(valueOffset, true);
-                    } else {
-                        // Handle string values
-                        let str = '';
-                        for (let i = valueOffset; i < valueOffset + length; i++) {
-                            const char = String.fromCharCode(view.getUint8(i));
-                            if (char !== '\0') str += char;
-                        }
-                        const nums = str.split('\\').map(Number).filter(n => !isNaN(n));
-                        metadata[tag] = nums.length > 0 ? nums[0] : 0;
-                    }
-                } else if (tag === '00281051') { // WindowWidth
-                    if (length === 2) {
-                        metadata[tag] = view.getUint16(valueOffset, true);
-                    } else if (length === 4) {
-                        metadata[tag] = view.getUint32(valueOffset, true);
-                    } else {
-                        // Handle string values
-                        let str = '';
-                        for (let i = valueOffset; i < valueOffset + length; i++) {
-                            const char = String.fromCharCode(view.getUint8(i));
-                            if (char !== '\0') str += char;
-                        }
-                        const nums = str.split('\\').map(Number).filter(n => !isNaN(n));
-                        metadata[tag] = nums.length > 0 ? nums[0] : 0;
-                    }
-                } else if (tag === '00200013') { // InstanceNumber
-                    if (length === 2) {
-                        metadata[tag] = view.getUint16(valueOffset, true);
-                    } else if (length === 4) {
-                        metadata[tag] = view.getUint32(valueOffset, true);
-                    } else {
-                        // Handle string values
-                        let str = '';
-                        for (let i = valueOffset; i < valueOffset + length; i++) {
-                            const char = String.fromCharCode(view.getUint8(i));
-                            if (char !== '\0') str += char;
-                        }
-                        const num = parseInt(str, 10);
-                        metadata[tag] = isNaN(num) ? 0 : num;
+                    pixelDataElement = header;
+                    // Encapsulated pixel data runs to its Sequence Delimitation;
+                    // the elements after it are parsed as usual
+                    if (length === 0xFFFFFFFF) {
+                        const dataEnd = this.findEncapsulatedEnd(view, valueOffset);
+                        element.encapsulatedLength = dataEnd - valueOffset;
+                        offset = dataEnd;
+                        resyncOffset = null;
+                        continue;
                     }
                 }
                 
                 // Move to next tag
                 offset = valueOffset + length;
+                resyncOffset = null;
+            } catch (e) {
+                if (this.strict) {
+                    throw e instanceof DicomParseError ? e : new MalformedElementError(offset, e.message);
+                }
                 
-                // Align to even boundary
-                if (length % 2 === 1 && vr !== 'SQ' && vr !== 'UT') {
-                    offset += 1;
+                // If we encounter an error, try to continue parsing. Report each
+                // damaged stretch once rather than every 4 bytes of it.
+                this.logger.warn('Error parsing DICOM tag at offset', offset, ':', e);
+                if (resyncOffset === null) {
+                    resyncOffset = offset;
+                    dataset.warnings.push(`Skipped malformed data element at offset ${offset}: ${e.message}`);
                 }
-            } catch (e) {
-                // If we encounter an error, try to continue parsing
-                console.warn('Error parsing DICOM tag at offset', offset, ':', e);
                 // Skip 4 bytes and continue
                 offset += 4;
-                if (offset >= arrayBuffer.byteLength) break;
             }
         }
         
+        return { offset: Math.min(offset, end), pixelDataElement };
+    }
+
+    // Where encapsulated pixel data starting at offset ends: just after its
+    // Sequence Delimitation, or at the end of the file when that is missing
+    findEncapsulatedEnd(view, offset) {
+        const syntax = this.getTransferSyntax('1.2.840.10008.1.2.1');
+        while (offset + 8 <= view.byteLength) {
+            const item = this.readElementHeader(view, offset, syntax);
+            if (item.tag === 'FFFEE0DD') { // Sequence Delimitation
+                return item.valueOffset;
+            }
+            if (item.tag !== 'FFFEE000') {
+                break;
+            }
+            offset = item.valueOffset + item.length;
+        }
+        return view.byteLength;
+    }
+
+    // Decide whether an element holds a sequence of items
+    isSequence(view, header, syntax) {
+        if (header.vr === 'SQ') {
+            return true;
+        }
+        if (header.vr === null || header.tag === '7FE00010') {
+            return false;
+        }
+        if (header.length === 0xFFFFFFFF) {
+            return !syntax.explicitVR || header.vr === 'UN';
+        }
+        
+        // Implicit VR sequences missing from the tag table still start with an Item tag
+        if (header.vr === 'UN' && header.length >= 8) {
+            return view.getUint16(header.valueOffset, syntax.littleEndian) === 0xFFFE &&
+                   view.getUint16(header.valueOffset + 2, syntax.littleEndian) === 0xE000;
+        }
+        
+        return false;
+    }
+
+    // Parse the items of a sequence value. Each item becomes a nested dataset;
+    // an undefined length sequence ends at its Sequence Delimitation tag.
+    parseSequence(view, offset, length, syntax) {
+        const items = [];
+        const end = length === 0xFFFFFFFF ? view.byteLength : Math.min(offset + length, view.byteLength);
+        
+        while (offset + 8 <= end) {
+            const item = this.readElementHeader(view, offset, syntax);
+            
+            if (item.tag === 'FFFEE0DD') { // Sequence Delimitation
+                return { items, offset: item.valueOffset };
+            }
+            if (item.tag !== 'FFFEE000') {
+                throw new Error(`Unexpected tag ${item.tag} in sequence at offset ${offset}`);
+            }
+            
+            const itemDataset = new DicomDataset(view, this.dictionary);
+            if (item.length === 0xFFFFFFFF) {
+                offset = this.parseElements(view, item.valueOffset, end, syntax, itemDataset).offset;
+            } else {
+                this.parseElements(view, item.valueOffset, item.valueOffset + item.length, syntax, itemDataset);
+                offset = item.valueOffset + item.length;
+            }
+            items.push(itemDataset);
+        }
+        
+        return { items, offset: end };
+    }
+
+    // Split encapsulated pixel data into frames. The first item is the Basic Offset
+    // Table; the remaining items are fragments, grouped into frames by the table's
+    // offsets or, when it is empty, one fragment per frame.
+    readEncapsulatedFrames(view, offset, numberOfFrames) {
+        const syntax = this.getTransferSyntax('1.2.840.10008.1.2.1');
+        const frameOffsets = [];
+        const fragments = [];
+        
+        // Basic Offset Table
+        const table = this.readElementHeader(view, offset, syntax);
+        if (table.tag !== 'FFFEE000') {
+            throw new Error(`Encapsulated pixel data starts with ${table.tag} instead of an Item`);
+        }
+        for (let i = 0; i + 4 <= table.length; i += 4) {
+            frameOffsets.push(view.getUint32(table.valueOffset + i, true));
+        }
+        offset = table.valueOffset + table.length;
+        
+        // Fragment positions are relative to the first fragment's Item tag, like the table's offsets
+        const firstFragmentOffset = offset;
+        while (offset + 8 <= view.byteLength) {
+            const item = this.readElementHeader(view, offset, syntax);
+            if (item.tag === 'FFFEE0DD') { // Sequence Delimitation
+                break;
+            }
+            if (item.tag !== 'FFFEE000') {
+                throw new Error(`Unexpected tag ${item.tag} in encapsulated pixel data`);
+            }
+            
+            const length = Math.min(item.length, view.byteLength - item.valueOffset);
+            fragments.push({
+                position: offset - firstFragmentOffset,
+                data: new Uint8Array(view.buffer, view.byteOffset + item.valueOffset, length)
+            });
+            offset = item.valueOffset + length;
+        }
+        
+        let groups;
+        if (frameOffsets.length > 0) {
+            groups = frameOffsets.map((start, i) => {
+                const end = i + 1 < frameOffsets.length ? frameOffsets[i + 1] : Infinity;
+                return fragments.filter(f => f.position >= start && f.position < end);
+            });
+        } else if (numberOfFrames <= 1) {
+            groups = [fragments];
+        } else if (fragments.length === numberOfFrames) {
+            groups = fragments.map(f => [f]);
+        } else {
+            // No offset table and several fragments per frame: start a new frame at each JPEG SOI marker
+            groups = [];
+            for (const fragment of fragments) {
+                if (groups.length === 0 || (fragment.data[0] === 0xFF && fragment.data[1] === 0xD8)) {
+                    groups.push([]);
+                }
+                groups[groups.length - 1].push(fragment);
+            }
+        }
+        
+        return groups.map(group => {
+            if (group.length === 1) {
+                return group[0].data;
+            }
+            const frame = new Uint8Array(group.reduce((sum, f) => sum + f.data.length, 0));
+            let position = 0;
+            for (const fragment of group) {
+                frame.set(fragment.data, position);
+                position += fragment.data.length;
+            }
+            return frame;
+        });
+    }
+
+    // Throw for transfer syntaxes whose dataset or pixel data we cannot decode
+    checkTransferSyntax(uid) {
+        if (!uid || this.transferSyntaxes[uid] || this.compressedTransferSyntaxes[uid]) {
+            return;
+        }
+        
+        throw new UnsupportedTransferSyntaxError(uid, this.unsupportedTransferSyntaxes[uid]);
+    }
+
+    // Decompress a single encapsulated frame
+    decodeFrame(frame, transferSyntaxUID, imageInfo) {
+        switch (transferSyntaxUID) {
+            case '1.2.840.10008.1.2.4.50':
+            case '1.2.840.10008.1.2.4.51':
+                return new JpegDecoder().decode(frame).pixels;
+            case '1.2.840.10008.1.2.4.57':
+            case '1.2.840.10008.1.2.4.70':
+                return new JpegLosslessDecoder().decode(frame).pixels;
+            case '1.2.840.10008.1.2.5':
+                return new RleDecoder().decode(frame, imageInfo.rows, imageInfo.columns,
+                                               imageInfo.bitsAllocated, imageInfo.samplesPerPixel);
+            default:
+                this.checkTransferSyntax(transferSyntaxUID);
+                throw new Error(`Encapsulated pixel data in native transfer syntax ${transferSyntaxUID}`);
+        }
+    }
+
+    // Decompress every frame and join them into one pixel array
+    decodeFrames(frames, transferSyntaxUID, imageInfo) {
+        const decoded = frames.map(frame => this.decodeFrame(frame, transferSyntaxUID, imageInfo));
+        
+        const total = decoded.reduce((sum, pixels) => sum + pixels.length, 0);
+        const pixelData = imageInfo.bitsAllocated === 16 ? new Uint16Array(total) : new Uint8Array(total);
+        let position = 0;
+        for (const pixels of decoded) {
+            pixelData.set(pixels, position);
+            position += pixels.length;
+        }
+        return pixelData;
+    }
+
+    // Turn colour-by-plane pixel data (Planar Configuration 1: RRR...GGG...BBB per
+    // frame) into colour-by-pixel (RGBRGB...)
+    interleavePlanes(pixelData, framePixels, samplesPerPixel) {
+        const interleaved = new pixelData.constructor(pixelData.length);
+        const frameSize = framePixels * samplesPerPixel;
+        
+        for (let frame = 0; frame + frameSize <= pixelData.length; frame += frameSize) {
+            for (let s = 0; s < samplesPerPixel; s++) {
+                const plane = frame + s * framePixels;
+                for (let i = 0; i < framePixels; i++) {
+                    interleaved[frame + i * samplesPerPixel + s] = pixelData[plane + i];
+                }
+            }
+        }
+        
+        return interleaved;
+    }
+
+    // Convert interleaved YBR_FULL samples to RGB in place
+    convertYbrToRgb(pixelData, bitsAllocated) {
+        const maxValue = bitsAllocated === 16 ? 65535 : 255;
+        const half = (maxValue + 1) / 2;
+        
+        for (let i = 0; i + 2 < pixelData.length; i += 3) {
+            const y = pixelData[i];
+            const cb = pixelData[i + 1] - half;
+            const cr = pixelData[i + 2] - half;
+            pixelData[i] = Math.max(0, Math.min(maxValue, Math.round(y + 1.402 * cr)));
+            pixelData[i + 1] = Math.max(0, Math.min(maxValue, Math.round(y - 0.344136 * cb - 0.714136 * cr)));
+            pixelData[i + 2] = Math.max(0, Math.min(maxValue, Math.round(y + 1.772 * cb)));
+        }
+    }
+
+    // Read every data element of a DICOM file, including the file meta information,
+    // without decoding pixel data. Returns the dataset, the encoding of the main
+    // dataset and the top-level PixelData element header.
+    parseDataset(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        
+        // Check for DICOM magic word at offset 128
+        let offset = 0;
+        
+        // Skip preamble (128 bytes) and magic word ('DICM')
+        if (arrayBuffer.byteLength > 132) {
+            const magicWord = String.fromCharCode(
+                view.getUint8(128),
+                view.getUint8(129),
+                view.getUint8(130),
+                view.getUint8(131)
+            );
+            
+            if (magicWord === 'DICM') {
+                offset = 132;
+            } else {
+                offset = 0; // Raw DICOM without preamble
+            }
+        }
+        
+        const dataset = new DicomDataset(view, this.dictionary);
+        
+        // File meta information (group 0002) is always explicit VR little endian
+        const metaSyntax = this.getTransferSyntax('1.2.840.10008.1.2.1');
+        let hasFileMeta = false;
+        while (offset < arrayBuffer.byteLength - 8 && view.getUint16(offset, true) === 0x0002) {
+            const header = this.readElementHeader(view, offset, metaSyntax);
+            dataset.add({ ...header, offset, littleEndian: true });
+            offset = header.valueOffset + header.length;
+            hasFileMeta = true;
+        }
+        
+        const transferSyntaxUID = dataset.string('00020010');
+        this.checkTransferSyntax(transferSyntaxUID);
+        
+        const syntax = hasFileMeta && transferSyntaxUID
+            ? this.getTransferSyntax(transferSyntaxUID)
+            : this.guessTransferSyntax(view, offset);
+        
+        const { pixelDataElement } = this.parseElements(view, offset, arrayBuffer.byteLength, syntax, dataset);
+        
+        return { dataset, syntax, pixelDataElement };
+    }
+
+    // Parse a single DICOM file
+    async parseDicom(arrayBuffer) {
+        const { dataset, syntax, pixelDataElement } = this.parseDataset(arrayBuffer);
+        const view = dataset.view;
+        const metadata = dataset.toMetadata();
+        let pixelData = null;
+        
+        // Problems worked around while reading the file
+        const repairs = dataset.warnings.slice();
+        
+        let rows = metadata['00280010'] || 0;
+        let columns = metadata['00280011'] || 0;
+        const bitsAllocated = metadata['00280100'] || 8;
+        
+        if (pixelDataElement && pixelDataElement.length === 0xFFFFFFFF) {
+            // Encapsulated pixel data: one compressed bitstream per frame
+            const frames = this.readEncapsulatedFrames(view, pixelDataElement.valueOffset, metadata['00280008'] || 1);
+            pixelData = this.decodeFrames(frames, metadata['00020010'], {
+                rows,
+                columns,
+                bitsAllocated,
+                samplesPerPixel: metadata['00280002'] || 1
+            });
+        } else if (pixelDataElement) {
+            pixelData = this.readPixelData(arrayBuffer, pixelDataElement.valueOffset, pixelDataElement.length,
+                                           bitsAllocated, syntax.littleEndian);
+        }
+        
         // If we couldn't extract dimensions from metadata, estimate them
+        if (pixelData && (!rows || !columns) && this.strict) {
+            throw new MissingDimensionsError(rows, columns);
+        }
         if (!rows || !columns) {
             // Try to estimate dimensions assuming square image
             const totalPixels = pixelData ? pixelData.length : 0;
@@ -198,133 +524,539 @@ class DicomParser {
                 rows = 512;
                 columns = 512;
             }
+            if (totalPixels > 0) {
+                repairs.push(`Rows/Columns missing, assumed ${columns}x${rows}`);
+            }
+        }
+        
+        // Colour images are handed on as interleaved RGB
+        const samplesPerPixel = metadata['00280002'] || 1;
+        let photometricInterpretation = metadata['00280004'] || (samplesPerPixel === 3 ? 'RGB' : 'MONOCHROME2');
+        if (pixelData && samplesPerPixel === 3) {
+            const encapsulated = pixelDataElement.length === 0xFFFFFFFF;
+            if (!encapsulated && metadata['00280006'] === 1) {
+                pixelData = this.interleavePlanes(pixelData, rows * columns, samplesPerPixel);
+            }
+            
+            // The JPEG decoder already converts YCbCr to RGB; other YBR_FULL data is converted here
+            const uid = metadata['00020010'];
+            const decodedToRGB = encapsulated &&
+                (uid === '1.2.840.10008.1.2.4.50' || uid === '1.2.840.10008.1.2.4.51');
+            if (photometricInterpretation.startsWith('YBR') && decodedToRGB) {
+                photometricInterpretation = 'RGB';
+            } else if (photometricInterpretation === 'YBR_FULL') {
+                this.convertYbrToRgb(pixelData, bitsAllocated);
+                photometricInterpretation = 'RGB';
+            }
         }
         
         return {
+            dataset,
             metadata,
             pixelData,
             rows,
             columns,
-            bitsAllocated
+            bitsAllocated,
+            samplesPerPixel,
+            photometricInterpretation,
+            transferSyntaxUID: metadata['00020010'] || null,
+            repairs
         };
     }
 
-    // Process a folder of DICOM files into a 3D volume
-    async processDicomFolder(files) {
+    // Parse a DICOMDIR into its Patient -> Study -> Series -> Image hierarchy. Records
+    // are read in document order, where each lower level record follows its parent;
+    // records other than these four (reports, presentation states, ...) are skipped.
+    async parseDicomDir(arrayBuffer) {
+        const { metadata } = await this.parseDicom(arrayBuffer);
+        const records = metadata['00041220'];
+        if (!records) {
+            throw new Error('Not a DICOMDIR (no Directory Record Sequence)');
+        }
+        
+        const patients = [];
+        let patient = null;
+        let study = null;
+        let series = null;
+        
+        for (const record of records) {
+            const type = (record['00041430'] || '').toUpperCase();
+            
+            if (type === 'PATIENT') {
+                patient = {
+                    name: (record['00100010'] || '').replace(/\^/g, ' ').trim(),
+                    id: record['00100020'] || '',
+                    studies: []
+                };
+                patients.push(patient);
+                study = null;
+                series = null;
+            } else if (type === 'STUDY' && patient) {
+                study = {
+                    studyInstanceUID: record['0020000D'] || null,
+                    date: record['00080020'] || '',
+                    description: record['00081030'] || '',
+                    series: []
+                };
+                patient.studies.push(study);
+                series = null;
+            } else if (type === 'SERIES' && study) {
+                series = {
+                    seriesInstanceUID: record['0020000E'] || null,
+                    seriesNumber: record['00200011'] || null,
+                    modality: record['00080060'] || '',
+                    description: record['0008103E'] || '',
+                    fileIDs: []
+                };
+                study.series.push(series);
+            } else if (type === 'IMAGE' && series && record['00041500']) {
+                series.fileIDs.push(record['00041500'].split('\\').join('/'));
+            }
+        }
+        
+        return { patients };
+    }
+
+    // Find the files a DICOMDIR refers to among the files picked with it. Referenced
+    // File IDs are relative to the DICOMDIR's folder and are matched case-insensitively,
+    // ignoring ISO 9660 version suffixes (";1").
+    resolveDicomDirFiles(dicomDirFile, files, fileIDs) {
+        const normalize = path => path.toUpperCase().replace(/;\d+$/, '');
+        const dicomDirPath = dicomDirFile.webkitRelativePath || dicomDirFile.name;
+        const baseDir = dicomDirPath.slice(0, dicomDirPath.length - dicomDirFile.name.length);
+        
+        const filesByPath = new Map();
+        for (const file of files) {
+            const path = file.webkitRelativePath || file.name;
+            if (path.startsWith(baseDir)) {
+                filesByPath.set(normalize(path.slice(baseDir.length)), file);
+            }
+        }
+        
+        return fileIDs.map(id => filesByPath.get(normalize(id))).filter(Boolean);
+    }
+
+    // Process a folder of DICOM files into a 3D volume. When the folder holds several
+    // series, seriesKey picks one (see scanDicomFolder); otherwise the series with
+    // the most slices is used.
+    async processDicomFolder(files, seriesKey, report) {
+        const series = await this.scanDicomFolder(files, report);
+        const chosen = series.find(s => s.key === seriesKey) || series.find(s => !s.localizer) || series[0];
+        
+        return this.buildVolume(chosen.slices);
+    }
+
+    // Parse every file and group the images into series, largest first
+    async scanDicomFolder(files, report) {
+        const slices = await this.parseDicomFiles(files, report);
+        return this.groupSeries(slices);
+    }
+
+    // Parse DICOM files into slices, skipping files without usable pixel data.
+    // Each file is recorded in report as accepted, repaired or skipped, and each
+    // slice records the index of its file in files (fileIndex).
+    async parseDicomFiles(files, report = new DicomValidationReport()) {
         const slices = [];
+        let unsupportedError = null;
         
-        console.log(`Processing ${files.length} DICOM files`);
+        this.logger.log(`Processing ${files.length} DICOM files`);
         
         // Parse all DICOM files
-        for (const file of files) {
+        for (const [fileIndex, file] of files.entries()) {
             try {
-                console.log(`Parsing file: ${file.name}`);
+                this.logger.log(`Parsing file: ${file.name}`);
                 const arrayBuffer = await file.arrayBuffer();
-                const dicomData = await this.parseDicom(arrayBuffer);
-                
-                if (dicomData.pixelData && dicomData.pixelData.length > 0) {
-                    console.log(`File ${file.name}: rows=${dicomData.rows}, cols=${dicomData.columns}, pixels=${dicomData.pixelData.length}`);
-                    
-                    // Validate that pixel data matches expected dimensions
-                    const expectedPixels = dicomData.rows * dicomData.columns;
-                    if (dicomData.pixelData.length >= expectedPixels) {
-                        slices.push({
-                            data: dicomData.pixelData.slice(0, expectedPixels), // Take only the expected amount
-                            metadata: dicomData.metadata,
-                            rows: dicomData.rows,
-                            columns: dicomData.columns,
-                            instanceNumber: dicomData.metadata['00200013'] || 0,
-                            fileName: file.name
-                        });
-                    } else {
-                        console.warn(`File ${file.name} has fewer pixels than expected (${dicomData.pixelData.length} < ${expectedPixels})`);
-                        // Still try to use it if we have some pixels
-                        if (dicomData.pixelData.length > 100) { // Arbitrary minimum
-                            // Pad with zeros if needed
-                            const paddedData = new Uint8Array(expectedPixels);
-                            paddedData.set(dicomData.pixelData);
-                            slices.push({
-                                data: paddedData,
-                                metadata: dicomData.metadata,
-                                rows: dicomData.rows,
-                                columns: dicomData.columns,
-                                instanceNumber: dicomData.metadata['00200013'] || 0,
-                                fileName: file.name
-                            });
-                        }
-                    }
-                } else {
-                    console.warn(`File ${file.name} has no valid pixel data`);
-                }
+                const result = await this.parseDicomFile(arrayBuffer, file.name);
+                slices.push(...result.slices.map(slice => ({ ...slice, fileIndex })));
+                report.accept(file.name, result.repairs);
             } catch (e) {
-                console.warn('Error parsing DICOM file', file.name, ':', e);
+                this.logger.warn('Error parsing DICOM file', file.name, ':', e);
+                report.skip(file.name, e);
+                if (e instanceof UnsupportedTransferSyntaxError) {
+                    unsupportedError = e;
+                }
             }
         }
         
         if (slices.length === 0) {
+            if (unsupportedError) {
+                throw unsupportedError;
+            }
             throw new Error('No valid DICOM files found with pixel data');
         }
         
-        console.log(`Successfully processed ${slices.length} slices`);
+        this.logger.log(`Successfully processed ${slices.length} slices`);
         
-        // Sort slices by instance number if available, otherwise by filename
-        slices.sort((a, b) => {
-            if (a.instanceNumber !== undefined && b.instanceNumber !== undefined) {
-                return (a.instanceNumber || 0) - (b.instanceNumber || 0);
-            } else {
-                return a.fileName.localeCompare(b.fileName);
+        return slices;
+    }
+
+    // Parse one file into its slices (one per frame) and the list of repairs made.
+    // Throws when the file has no usable pixel data.
+    async parseDicomFile(arrayBuffer, fileName) {
+        const dicomData = await this.parseDicom(arrayBuffer);
+        
+        if (!dicomData.pixelData || dicomData.pixelData.length === 0) {
+            throw new NoPixelDataError();
+        }
+        
+        this.logger.log(`File ${fileName}: rows=${dicomData.rows}, cols=${dicomData.columns}, pixels=${dicomData.pixelData.length}`);
+        const repairs = dicomData.repairs.slice();
+        
+        // Validate that pixel data matches expected dimensions
+        const frameCount = dicomData.metadata['00280008'] || 1;
+        const framePixels = dicomData.rows * dicomData.columns * dicomData.samplesPerPixel;
+        const expectedPixels = framePixels * frameCount;
+        let pixelData = dicomData.pixelData;
+        if (pixelData.length < expectedPixels) {
+            // Still try to use it if we have some pixels
+            if (this.strict || pixelData.length <= 100) { // Arbitrary minimum
+                throw new PixelDataLengthError(expectedPixels, pixelData.length);
             }
-        });
+            // Pad with zeros if needed
+            const paddedData = new pixelData.constructor(expectedPixels);
+            paddedData.set(pixelData);
+            pixelData = paddedData;
+            repairs.push(`Pixel data padded with zeros from ${dicomData.pixelData.length} to ${expectedPixels} samples`);
+        }
+        
+        // Enhanced multi-frame objects become one slice per frame. Frames are views
+        // into the pixel data rather than copies.
+        const slices = [];
+        for (let frame = 0; frame < frameCount; frame++) {
+            const metadata = frameCount > 1
+                ? this.getFrameMetadata(dicomData.metadata, frame)
+                : dicomData.metadata;
+            slices.push({
+                data: pixelData.subarray(frame * framePixels, (frame + 1) * framePixels),
+                metadata,
+                rows: dicomData.rows,
+                columns: dicomData.columns,
+                samplesPerPixel: dicomData.samplesPerPixel,
+                photometricInterpretation: dicomData.photometricInterpretation,
+                instanceNumber: frameCount > 1
+                    ? metadata['00209057'] || frame + 1
+                    : metadata['00200013'] || 0,
+                fileName
+            });
+        }
+        
+        // Stored value ranges let buildVolume size the volume without a pass over the pixels
+        for (const slice of slices) {
+            if (slice.samplesPerPixel !== 3) {
+                slice.storedRange = this.getStoredRange(slice);
+            }
+        }
+        
+        return { slices, repairs };
+    }
+
+    // Flatten the shared and per-frame functional groups of an enhanced multi-frame
+    // object into one metadata object per frame, so that each frame carries its own
+    // position, orientation, spacing, rescale and window like a classic slice
+    getFrameMetadata(metadata, frameIndex) {
+        const frameMetadata = Object.assign({}, metadata);
+        const functionalGroups = [
+            (metadata['52009229'] || [])[0], // Shared, overridden by...
+            (metadata['52009230'] || [])[frameIndex] // ...this frame's own groups
+        ];
+        
+        for (const group of functionalGroups) {
+            if (!group) continue;
+            for (const sequenceTag of this.frameFunctionalGroups) {
+                const item = (group[sequenceTag] || [])[0];
+                if (item) {
+                    Object.assign(frameMetadata, item);
+                }
+            }
+        }
+        
+        return frameMetadata;
+    }
+
+    // Group slices by Study/Series Instance UID. Localizers and images whose size
+    // differs from the rest of their series are split into separate entries so they
+    // never end up stacked into the same volume.
+    groupSeries(slices) {
+        const groups = new Map();
+        
+        for (const slice of slices) {
+            const metadata = slice.metadata;
+            const localizer = (metadata['00080008'] || '').toUpperCase().includes('LOCALIZER');
+            const key = [
+                metadata['0020000D'] || 'unknown-study',
+                metadata['0020000E'] || 'unknown-series',
+                `${slice.columns}x${slice.rows}x${slice.samplesPerPixel}`,
+                localizer ? 'localizer' : 'image'
+            ].join('|');
+            
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key,
+                    studyInstanceUID: metadata['0020000D'] || null,
+                    seriesInstanceUID: metadata['0020000E'] || null,
+                    seriesNumber: metadata['00200011'] || null,
+                    description: metadata['0008103E'] || '',
+                    modality: metadata['00080060'] || '',
+                    localizer,
+                    dimensions: [slice.columns, slice.rows, 0],
+                    sliceCount: 0,
+                    slices: []
+                });
+            }
+            
+            const group = groups.get(key);
+            group.slices.push(slice);
+            group.sliceCount++;
+            group.dimensions[2]++;
+        }
+        
+        return Array.from(groups.values()).sort((a, b) => b.sliceCount - a.sliceCount);
+    }
+
+    // Stack the slices of one series into a 3D volume in Hounsfield units
+    //
+    // Memory: the volume is allocated once and filled in a single pass straight from
+    // the slices, which are views into the files' pixel data. For a 512x512x1000
+    // 16-bit CT series that is 500 MiB of slices plus a 500 MiB Int16Array volume
+    // (1000 MiB as Float32Array when the rescale is not integer), so a load peaks at
+    // about 1 GiB. The renderer converts one slice at a time for its 8-bit texture
+    // (256 KiB here) and adds no copy of the volume.
+    buildVolume(slices) {
+        // Sort slices along the slice normal and work out voxel spacing and orientation
+        const geometry = this.computeSliceGeometry(slices);
         
         // Create 3D volume - ensure all slices have the same dimensions
         const rows = slices[0].rows;
         const cols = slices[0].columns;
         const depth = slices.length;
         
-        console.log(`Creating 3D volume: ${cols} x ${rows} x ${depth}`);
+        this.logger.log(`Creating 3D volume: ${cols} x ${rows} x ${depth}`);
         
-        // Determine data type based on first slice
-        const is16Bit = slices.some(slice => slice.data instanceof Uint16Array);
-        const volumeSize = rows * cols * depth;
+        if (slices[0].samplesPerPixel === 3) {
+            return this.buildColorVolume(slices, geometry);
+        }
         
-        let volumeData;
-        if (is16Bit) {
-            volumeData = new Uint16Array(volumeSize);
-        } else {
-            volumeData = new Uint8Array(volumeSize);
+        // Stored values become Hounsfield units: HU = stored * RescaleSlope + RescaleIntercept
+        const sliceSize = rows * cols;
+        const volumeSize = sliceSize * depth;
+        const rescales = slices.map(slice => this.getRescale(slice));
+        
+        // The HU range follows from each slice's stored range, so the volume type can be
+        // chosen before allocating it without reading the pixels twice
+        let minValue = Infinity;
+        let maxValue = -Infinity;
+        for (let z = 0; z < depth; z++) {
+            const [storedMin, storedMax] = slices[z].storedRange || this.getStoredRange(slices[z], rescales[z]);
+            if (storedMin > storedMax) {
+                continue; // No pixels
+            }
+            const { slope, intercept } = rescales[z];
+            const low = storedMin * slope + intercept;
+            const high = storedMax * slope + intercept;
+            minValue = Math.min(minValue, low, high);
+            maxValue = Math.max(maxValue, low, high);
         }
         
+        // Integer rescales that stay within 16 bits keep an Int16Array volume; anything else is float
+        const fitsInt16 = rescales.every(r => Number.isInteger(r.slope) && Number.isInteger(r.intercept)) &&
+            minValue >= -32768 && maxValue <= 32767;
+        const volumeData = fitsInt16 ? new Int16Array(volumeSize) : new Float32Array(volumeSize);
+        
         // Fill volume data
         for (let z = 0; z < depth; z++) {
             const sliceData = slices[z].data;
-            const sliceSize = rows * cols;
+            const { slope, intercept, mask, signBit } = rescales[z];
+            const base = z * sliceSize;
             
             for (let i = 0; i < sliceSize && i < sliceData.length; i++) {
-                volumeData[z * sliceSize + i] = sliceData[i];
+                let stored = sliceData[i] & mask;
+                if (signBit && stored >= signBit) {
+                    stored -= signBit * 2;
+                }
+                volumeData[base + i] = stored * slope + intercept;
             }
         }
         
-        // Normalize 16-bit data to 8-bit if needed
-        if (is16Bit) {
-            const maxVal = Math.max(...Array.from(volumeData));
-            const minVal = Math.min(...Array.from(volumeData));
-            const range = maxVal - minVal || 1;
-            
-            const normalizedVolume = new Uint8Array(volumeSize);
-            for (let i = 0; i < volumeSize; i++) {
-                normalizedVolume[i] = Math.round(((volumeData[i] - minVal) / range) * 255);
+        this.logger.log(`Rescaled volume to HU: min=${minValue}, max=${maxValue}`);
+        
+        this.logger.log(`Final volume created: ${cols} x ${rows} x ${depth}, total elements: ${volumeData.length}`);
+        
+        const windowCenter = slices[0].metadata['00281050'];
+        const windowWidth = slices[0].metadata['00281051'];
+        
+        return {
+            data: volumeData,
+            dimensions: [cols, rows, depth],
+            spacing: geometry.spacing,
+            origin: geometry.origin,
+            direction: geometry.direction,
+            affine: geometry.affine,
+            range: [minValue, maxValue],
+            dataType: rescales[0].dataType,
+            rescale: { slope: rescales[0].slope, intercept: rescales[0].intercept },
+            window: windowWidth > 0 ? { center: windowCenter, width: windowWidth } : null,
+            // MONOCHROME1 shows low values as white. The values stay modality values
+            // (HU); the inversion is left to the display.
+            inverted: slices[0].photometricInterpretation === 'MONOCHROME1'
+        };
+    }
+
+    // Stack RGB slices into an interleaved 8-bit RGB volume
+    buildColorVolume(slices, geometry) {
+        const rows = slices[0].rows;
+        const cols = slices[0].columns;
+        const depth = slices.length;
+        const sliceSize = rows * cols * 3;
+        const volumeData = new Uint8Array(sliceSize * depth);
+        
+        for (let z = 0; z < depth; z++) {
+            const sliceData = slices[z].data;
+            // Keep the most significant 8 bits of wider samples
+            const shift = Math.max(0, (slices[z].metadata['00280101'] || 8) - 8);
+            const base = z * sliceSize;
+            for (let i = 0; i < sliceSize && i < sliceData.length; i++) {
+                volumeData[base + i] = sliceData[i] >> shift;
             }
-            
-            console.log(`Normalized 16-bit data: min=${minVal}, max=${maxVal}, range=${range}`);
-            
-            volumeData = normalizedVolume;
         }
         
-        console.log(`Final volume created: ${cols} x ${rows} x ${depth}, total elements: ${volumeData.length}`);
+        this.logger.log(`Final RGB volume created: ${cols} x ${rows} x ${depth}`);
         
         return {
             data: volumeData,
-            dimensions: [cols, rows, depth]
+            dimensions: [cols, rows, depth],
+            components: 3,
+            spacing: geometry.spacing,
+            origin: geometry.origin,
+            direction: geometry.direction,
+            affine: geometry.affine,
+            range: [0, 255],
+            dataType: 'rgb8',
+            rescale: { slope: 1, intercept: 0 },
+            window: null
+        };
+    }
+
+    // Order slices by their ImagePositionPatient projected onto the slice normal and
+    // derive the voxel-to-patient geometry. Slices without position/orientation fall
+    // back to instance number (or filename) order.
+    computeSliceGeometry(slices) {
+        const first = slices[0].metadata;
+        const pixelSpacing = first['00280030'] || [1, 1];
+        const orientation = first['00200037'];
+        const hasGeometry = orientation && orientation.length === 6 &&
+            slices.every(slice => slice.metadata['00200032'] && slice.metadata['00200032'].length === 3);
+        
+        if (!hasGeometry) {
+            slices.sort((a, b) => {
+                if (a.instanceNumber !== undefined && b.instanceNumber !== undefined) {
+                    return (a.instanceNumber || 0) - (b.instanceNumber || 0);
+                } else {
+                    return a.fileName.localeCompare(b.fileName);
+                }
+            });
+            return this.buildGeometry([0, 0, 0], [1, 0, 0], [0, 1, 0],
+                                      [pixelSpacing[1], pixelSpacing[0], first['00180050'] || 1]);
+        }
+        
+        const rowCosines = orientation.slice(0, 3);
+        const columnCosines = orientation.slice(3, 6);
+        const normal = [
+            rowCosines[1] * columnCosines[2] - rowCosines[2] * columnCosines[1],
+            rowCosines[2] * columnCosines[0] - rowCosines[0] * columnCosines[2],
+            rowCosines[0] * columnCosines[1] - rowCosines[1] * columnCosines[0]
+        ];
+        
+        for (const slice of slices) {
+            const position = slice.metadata['00200032'];
+            slice.sliceLocation = position[0] * normal[0] + position[1] * normal[1] + position[2] * normal[2];
+        }
+        slices.sort((a, b) => a.sliceLocation - b.sliceLocation);
+        
+        // The median gap tolerates a missing or duplicated slice
+        const gaps = [];
+        for (let i = 1; i < slices.length; i++) {
+            gaps.push(slices[i].sliceLocation - slices[i - 1].sliceLocation);
+        }
+        gaps.sort((a, b) => a - b);
+        const zSpacing = gaps.length > 0 && gaps[gaps.length >> 1] > 0
+            ? gaps[gaps.length >> 1]
+            : first['00180050'] || 1;
+        
+        return this.buildGeometry(slices[0].metadata['00200032'], rowCosines, columnCosines,
+                                  [pixelSpacing[1], pixelSpacing[0], zSpacing], normal);
+    }
+
+    // Assemble origin, direction cosines and the row-major 4x4 affine that maps
+    // voxel indices (column, row, slice) to patient coordinates in millimetres
+    buildGeometry(origin, rowCosines, columnCosines, spacing, normal = [0, 0, 1]) {
+        const axes = [rowCosines, columnCosines, normal];
+        const affine = [];
+        for (let r = 0; r < 3; r++) {
+            affine.push(axes[0][r] * spacing[0], axes[1][r] * spacing[1], axes[2][r] * spacing[2], origin[r]);
+        }
+        affine.push(0, 0, 0, 1);
+        
+        return {
+            origin: origin.slice(),
+            direction: [...rowCosines, ...columnCosines, ...normal],
+            spacing,
+            affine
+        };
+    }
+
+    // Smallest and largest stored value of a slice, after masking and sign extension
+    getStoredRange(slice, rescale = this.getRescale(slice)) {
+        const sliceData = slice.data;
+        const sliceSize = Math.min(slice.rows * slice.columns, sliceData.length);
+        const { mask, signBit } = rescale;
+        let minStored = Infinity;
+        let maxStored = -Infinity;
+        
+        for (let i = 0; i < sliceSize; i++) {
+            let stored = sliceData[i] & mask;
+            if (signBit && stored >= signBit) {
+                stored -= signBit * 2;
+            }
+            if (stored < minStored) minStored = stored;
+            if (stored > maxStored) maxStored = stored;
+        }
+        
+        return [minStored, maxStored];
+    }
+    
+    // Values of a single grayscale slice in Hounsfield units, for showing slices
+    // before the whole series has been assembled
+    getSliceValues(slice, rescale = this.getRescale(slice)) {
+        const sliceSize = Math.min(slice.rows * slice.columns, slice.data.length);
+        const { slope, intercept, mask, signBit } = rescale;
+        const values = new Float32Array(slice.rows * slice.columns);
+        
+        for (let i = 0; i < sliceSize; i++) {
+            let stored = slice.data[i] & mask;
+            if (signBit && stored >= signBit) {
+                stored -= signBit * 2;
+            }
+            values[i] = stored * slope + intercept;
+        }
+        
+        return values;
+    }
+
+    // Describe how a slice's stored pixel values map to Hounsfield units
+    getRescale(slice) {
+        const metadata = slice.metadata;
+        const bitsAllocated = slice.data instanceof Uint16Array ? 16 : 8;
+        const bitsStored = Math.min(metadata['00280101'] || bitsAllocated, bitsAllocated);
+        const signed = metadata['00280103'] === 1;
+        const slope = metadata['00281053'] || 1;
+        const intercept = metadata['00281052'] || 0;
+        
+        return {
+            slope,
+            intercept,
+            dataType: (signed ? 'int' : 'uint') + bitsAllocated,
+            mask: (1 << bitsStored) - 1,
+            signBit: signed ? 1 << (bitsStored - 1) : 0
         };
     }
 }
\ No newline at end of file
@@ -0,0 +1,84 @@
+// Typed errors raised while reading DICOM files, and the per-file report of what
+// was accepted, repaired or skipped. In strict mode the parser raises these errors
+// instead of guessing missing values or repairing damaged files.
+class DicomParseError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'DicomParseError';
+        this.code = code;
+    }
+}
+
+class UnsupportedTransferSyntaxError extends DicomParseError {
+    constructor(transferSyntaxUID, transferSyntaxName) {
+        super(`Unsupported transfer syntax ${transferSyntaxUID}${transferSyntaxName ? ` (${transferSyntaxName})` : ''}`,
+              'UNSUPPORTED_TRANSFER_SYNTAX');
+        this.name = 'UnsupportedTransferSyntaxError';
+        this.transferSyntaxUID = transferSyntaxUID;
+    }
+}
+
+class MalformedElementError extends DicomParseError {
+    constructor(offset, reason) {
+        super(`Malformed data element at offset ${offset}: ${reason}`, 'MALFORMED_ELEMENT');
+        this.name = 'MalformedElementError';
+        this.offset = offset;
+    }
+}
+
+class MissingDimensionsError extends DicomParseError {
+    constructor(rows, columns) {
+        super(`Image dimensions missing (Rows ${rows || 'absent'}, Columns ${columns || 'absent'})`, 'MISSING_DIMENSIONS');
+        this.name = 'MissingDimensionsError';
+    }
+}
+
+class NoPixelDataError extends DicomParseError {
+    constructor() {
+        super('No pixel data', 'NO_PIXEL_DATA');
+        this.name = 'NoPixelDataError';
+    }
+}
+
+class PixelDataLengthError extends DicomParseError {
+    constructor(expected, actual) {
+        super(`Pixel data holds ${actual} samples, expected ${expected}`, 'PIXEL_DATA_LENGTH');
+        this.name = 'PixelDataLengthError';
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+// Outcome of every file of a load: 'accepted' as is, 'repaired' (used after fixing
+// the listed problems) or 'skipped' (left out of the volume, with the reason)
+class DicomValidationReport {
+    constructor() {
+        this.files = [];
+    }
+
+    accept(fileName, repairs = []) {
+        this.files.push({
+            fileName,
+            status: repairs.length > 0 ? 'repaired' : 'accepted',
+            reasons: repairs.slice()
+        });
+    }
+
+    skip(fileName, error) {
+        this.files.push({
+            fileName,
+            status: 'skipped',
+            reasons: [error.message],
+            code: error.code || null
+        });
+    }
+
+    // Number of files per status
+    summary() {
+        const counts = { accepted: 0, repaired: 0, skipped: 0 };
+        for (const file of this.files) {
+            counts[file.status]++;
+        }
+        return counts;
+    }
+}
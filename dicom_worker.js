@@ -0,0 +1,53 @@
+// Web Worker run by DicomWorkerPool: parses single DICOM files and assembles
+// volumes off the UI thread. Pixel buffers travel as transferables both ways.
+importScripts(
+    'jpeg_decoder.js',
+    'jpeg_lossless_decoder.js',
+    'rle_decoder.js',
+    'dicom_dictionary.js',
+    'dicom_dataset.js',
+    'dicom_validation.js',
+    'dicom_parser_fixed.js'
+);
+
+// Buffers of a list of typed arrays, each listed once
+function transferList(arrays) {
+    return Array.from(new Set(arrays.map(array => array.buffer)));
+}
+
+self.onmessage = async (event) => {
+    const { id, type } = event.data;
+
+    try {
+        if (type === 'parse') {
+            // The file arrives as a Blob (read here) or as an already read ArrayBuffer
+            const { file, fileName, strict } = event.data;
+            const arrayBuffer = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+            const result = await new DicomParser({ strict }).parseDicomFile(arrayBuffer, fileName);
+
+            self.postMessage({ id, result }, transferList(result.slices.map(slice => slice.data)));
+        } else if (type === 'build') {
+            // Hand the slices back with the volume so the caller can build it again
+            const { slices } = event.data;
+            const volume = new DicomParser().buildVolume(slices);
+
+            self.postMessage({ id, result: { volume, slices } },
+                             transferList([volume.data, ...slices.map(slice => slice.data)]));
+        } else {
+            throw new Error(`Unknown worker request ${type}`);
+        }
+    } catch (error) {
+        // A failed build returns its slices too, so the caller still owns them
+        const slices = type === 'build' ? event.data.slices : [];
+        self.postMessage({
+            id,
+            error: {
+                name: error.name,
+                message: error.message,
+                code: error.code || null,
+                transferSyntaxUID: error.transferSyntaxUID || null,
+                slices
+            }
+        }, transferList(slices.map(slice => slice.data)));
+    }
+};
@@ -0,0 +1,196 @@
+// Pool of dicom_worker.js Web Workers. Files are parsed in parallel off the UI
+// thread with per-file progress; a load can be cancelled through an AbortSignal,
+// which terminates the workers and rejects with an AbortError.
+class DicomWorkerPool {
+    constructor(size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1)), scriptUrl = 'dicom_worker.js') {
+        this.size = size;
+        this.scriptUrl = scriptUrl;
+        this.workers = []; // { worker, job }
+        this.queue = [];
+        this.nextJobId = 1;
+    }
+
+    // Parse files into slices like DicomParser.parseDicomFiles, fileIndex included.
+    // onProgress is called after each file with { completed, total, fileName, status }.
+    async parseFiles(files, { strict = false, report = new DicomValidationReport(), onProgress, signal } = {}) {
+        const results = new Array(files.length);
+        let completed = 0;
+
+        const unsubscribe = this.cancelOn(signal);
+        try {
+            await Promise.all(files.map(async (file, index) => {
+                // Blobs are read inside the worker; anything else is read here and transferred
+                const source = file instanceof Blob ? file : await file.arrayBuffer();
+                const transfer = source instanceof ArrayBuffer ? [source] : [];
+                // The pool may have been cancelled while the file was read
+                if (signal && signal.aborted) {
+                    throw new DOMException('Loading cancelled', 'AbortError');
+                }
+
+                try {
+                    results[index] = await this.run({ type: 'parse', file: source, fileName: file.name, strict }, transfer);
+                } catch (error) {
+                    if (error.name === 'AbortError') {
+                        throw error;
+                    }
+                    results[index] = { error };
+                }
+
+                completed++;
+                if (onProgress) {
+                    onProgress({
+                        completed,
+                        total: files.length,
+                        fileName: file.name,
+                        status: results[index].error ? 'skipped' : 'parsed'
+                    });
+                }
+            }));
+        } finally {
+            unsubscribe();
+        }
+
+        // Record outcomes in file order
+        const slices = [];
+        let unsupportedError = null;
+        files.forEach((file, index) => {
+            const result = results[index];
+            if (result.error) {
+                report.skip(file.name, result.error);
+                if (result.error.code === 'UNSUPPORTED_TRANSFER_SYNTAX') {
+                    unsupportedError = result.error;
+                }
+            } else {
+                slices.push(...result.slices.map(slice => ({ ...slice, fileIndex: index })));
+                report.accept(file.name, result.repairs);
+            }
+        });
+
+        if (slices.length === 0) {
+            throw unsupportedError || new Error('No valid DICOM files found with pixel data');
+        }
+
+        return slices;
+    }
+
+    // Assemble a volume like DicomParser.buildVolume. The slices' pixel buffers are
+    // moved to the worker and back, so use the returned slices afterwards (or the
+    // error's slices when the build fails; a cancelled build loses them).
+    async buildVolume(slices, { signal } = {}) {
+        const unsubscribe = this.cancelOn(signal);
+        try {
+            const transfer = Array.from(new Set(slices.map(slice => slice.data.buffer)));
+            return await this.run({ type: 'build', slices }, transfer);
+        } finally {
+            unsubscribe();
+        }
+    }
+
+    // Stop all workers and reject every running and queued job
+    cancel() {
+        const jobs = this.queue.splice(0);
+        for (const entry of this.workers) {
+            entry.worker.terminate();
+            if (entry.job) {
+                jobs.push(entry.job);
+            }
+        }
+        this.workers = [];
+
+        for (const job of jobs) {
+            job.reject(new DOMException('Loading cancelled', 'AbortError'));
+        }
+    }
+
+    // Cancel the pool when signal aborts; returns a function removing the listener
+    cancelOn(signal) {
+        if (!signal) {
+            return () => {};
+        }
+        if (signal.aborted) {
+            throw new DOMException('Loading cancelled', 'AbortError');
+        }
+
+        const onAbort = () => this.cancel();
+        signal.addEventListener('abort', onAbort, { once: true });
+        return () => signal.removeEventListener('abort', onAbort);
+    }
+
+    // Queue a request for the next idle worker
+    run(message, transfer = []) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextJobId++, message, transfer, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            let entry = this.workers.find(candidate => !candidate.job);
+            if (!entry && this.workers.length < this.size) {
+                try {
+                    entry = this.createWorker();
+                } catch (error) {
+                    // Workers cannot start (e.g. blocked for file:// pages)
+                    for (const job of this.queue.splice(0)) {
+                        job.reject(error);
+                    }
+                    return;
+                }
+            }
+            if (!entry) {
+                return;
+            }
+
+            const job = this.queue.shift();
+            entry.job = job;
+            entry.worker.postMessage({ ...job.message, id: job.id }, job.transfer);
+        }
+    }
+
+    createWorker() {
+        const entry = { worker: new Worker(this.scriptUrl), job: null };
+
+        entry.worker.onmessage = (event) => {
+            const job = entry.job;
+            entry.job = null;
+            if (job && event.data.id === job.id) {
+                if (event.data.error) {
+                    job.reject(this.reviveError(event.data.error));
+                } else {
+                    job.resolve(event.data.result);
+                }
+            }
+            this.dispatch();
+        };
+
+        // A worker that fails to load or crashes takes its job down with it
+        entry.worker.onerror = (event) => {
+            event.preventDefault();
+            const job = entry.job;
+            entry.worker.terminate();
+            this.workers = this.workers.filter(candidate => candidate !== entry);
+            if (job) {
+                job.reject(new Error(`DICOM worker failed: ${event.message || 'unknown error'}`));
+            }
+            this.dispatch();
+        };
+
+        this.workers.push(entry);
+        return entry;
+    }
+
+    // Rebuild an error posted by a worker, keeping its name, code, transfer syntax
+    // and any slices handed back
+    reviveError(data) {
+        const error = data.code ? new DicomParseError(data.message, data.code) : new Error(data.message);
+        error.name = data.name;
+        if (data.transferSyntaxUID) {
+            error.transferSyntaxUID = data.transferSyntaxUID;
+        }
+        if (data.slices && data.slices.length > 0) {
+            error.slices = data.slices;
+        }
+        return error;
+    }
+}
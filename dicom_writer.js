@@ -0,0 +1,271 @@
+// Writes DICOM Part 10 files. A dataset to write is a list of elements:
+//
+//   { tag, vr, bytes }                  value bytes, already in the target byte order
+//   { tag, vr, items: [elements...] }   sequence of item datasets
+//   { tag, vr, bytes, undefinedLength } encapsulated pixel data (items and delimiter)
+//
+// elementsFromDataset turns a parsed DicomDataset into such a list, copying each
+// value's bytes, so unchanged values are written exactly as they were read.
+// Sequences and items are written with undefined lengths.
+class DicomWriter {
+    constructor() {
+        this.dictionary = new DicomDictionary();
+
+        // Explicit VRs followed by 2 reserved bytes and a 4-byte length (as DicomParser)
+        this.longLengthVRs = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV'];
+
+        // Encodings of the uncompressed transfer syntaxes
+        this.transferSyntaxes = {
+            '1.2.840.10008.1.2': { explicitVR: false, littleEndian: true },
+            '1.2.840.10008.1.2.1': { explicitVR: true, littleEndian: true },
+            '1.2.840.10008.1.2.2': { explicitVR: true, littleEndian: false }
+        };
+
+        // Binary VRs: bytes per value and DataView setter
+        this.binaryVRs = {
+            US: [2, 'setUint16'],
+            SS: [2, 'setInt16'],
+            UL: [4, 'setUint32'],
+            SL: [4, 'setInt32'],
+            FL: [4, 'setFloat32'],
+            FD: [8, 'setFloat64'],
+            OW: [2, 'setUint16'],
+            OF: [4, 'setFloat32']
+        };
+
+        this.implementationClassUID = '2.25.266299146714462353501510443443969657542';
+        this.implementationVersionName = 'CT_VIEWER_1';
+    }
+
+    // Transfer syntax UID that matches the encoding DicomParser.parseDataset found
+    transferSyntaxOf(dataset, syntax) {
+        const uid = dataset.string('00020010');
+        if (uid) {
+            return uid;
+        }
+        if (!syntax.explicitVR) {
+            return '1.2.840.10008.1.2';
+        }
+        return syntax.littleEndian ? '1.2.840.10008.1.2.1' : '1.2.840.10008.1.2.2';
+    }
+
+    // Elements of a parsed dataset, without the file meta group and group lengths
+    elementsFromDataset(dataset) {
+        const elements = [];
+        const view = dataset.view;
+
+        for (const tag of dataset.tags()) {
+            const element = dataset.elements.get(tag);
+            if (tag.startsWith('0002') || tag.endsWith('0000')) {
+                continue;
+            }
+
+            if (element.items) {
+                elements.push({ tag, vr: 'SQ', items: element.items.map(item => this.elementsFromDataset(item)) });
+            } else if (element.length === 0xFFFFFFFF) {
+                // Encapsulated pixel data: its items and Sequence Delimitation are
+                // copied as they are
+                elements.push({
+                    tag,
+                    vr: element.vr,
+                    bytes: new Uint8Array(view.buffer, view.byteOffset + element.valueOffset, element.encapsulatedLength),
+                    undefinedLength: true
+                });
+            } else {
+                elements.push({ tag, vr: element.vr, bytes: dataset.bytes(tag) });
+            }
+        }
+
+        return elements;
+    }
+
+    // New element from a value: text (a string or list of strings), numbers for
+    // binary VRs, or bytes
+    createElement(tag, vr, value, littleEndian = true) {
+        const resolved = this.dictionary.resolveTag(tag);
+        if (value instanceof Uint8Array) {
+            return { tag: resolved, vr, bytes: value };
+        }
+
+        if (this.binaryVRs[vr]) {
+            const [size, setter] = this.binaryVRs[vr];
+            const values = Array.isArray(value) || ArrayBuffer.isView(value) ? value : [value];
+            const bytes = new Uint8Array(values.length * size);
+            const view = new DataView(bytes.buffer);
+            for (let i = 0; i < values.length; i++) {
+                view[setter](i * size, values[i], littleEndian);
+            }
+            return { tag: resolved, vr, bytes };
+        }
+
+        const text = Array.isArray(value) ? value.join('\\') : String(value);
+        const bytes = new Uint8Array(text.length + (text.length % 2));
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xFF;
+        }
+        // Odd lengths are padded: UIDs with NUL, other text with a space
+        if (text.length % 2) {
+            bytes[text.length] = vr === 'UI' ? 0 : 0x20;
+        }
+        return { tag: resolved, vr, bytes };
+    }
+
+    // Replace (or add) an element in a list, keeping it in tag order
+    setElement(elements, element) {
+        const index = elements.findIndex(existing => existing.tag === element.tag);
+        if (index !== -1) {
+            elements[index] = element;
+        } else {
+            elements.push(element);
+            elements.sort((a, b) => this.compareTags(a.tag, b.tag));
+        }
+        return elements;
+    }
+
+    // The text of an element in a list, padding removed
+    elementString(elements, tag) {
+        const element = elements.find(existing => existing.tag === tag);
+        if (!element || !element.bytes) {
+            return undefined;
+        }
+        return String.fromCharCode(...element.bytes).replace(/[\0 ]+$/, '').trim();
+    }
+
+    // A new globally unique UID: "2.25." followed by a random 128-bit UUID as a decimal number
+    createUid() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0F) | 0x40; // Version 4
+        bytes[8] = (bytes[8] & 0x3F) | 0x80; // Variant 1
+        let value = 0n;
+        for (const byte of bytes) {
+            value = (value << 8n) | BigInt(byte);
+        }
+        return `2.25.${value}`;
+    }
+
+    // Part 10 file: preamble, "DICM", file meta group and the dataset in the given
+    // transfer syntax. Values of elements must already be in its byte order.
+    write(elements, transferSyntaxUID = '1.2.840.10008.1.2.1') {
+        const syntax = this.transferSyntaxes[transferSyntaxUID] || { explicitVR: true, littleEndian: true };
+        const sopClassUID = this.elementString(elements, '00080016');
+        const sopInstanceUID = this.elementString(elements, '00080018');
+        if (!sopClassUID || !sopInstanceUID) {
+            throw new Error('A DICOM file needs a SOPClassUID and a SOPInstanceUID');
+        }
+
+        const metaSyntax = { explicitVR: true, littleEndian: true };
+        const meta = [
+            this.createElement('00020001', 'OB', new Uint8Array([0, 1])),
+            this.createElement('00020002', 'UI', sopClassUID),
+            this.createElement('00020003', 'UI', sopInstanceUID),
+            this.createElement('00020010', 'UI', transferSyntaxUID),
+            this.createElement('00020012', 'UI', this.implementationClassUID),
+            this.createElement('00020013', 'SH', this.implementationVersionName)
+        ];
+        const metaLength = this.encodedLength(meta, metaSyntax);
+        meta.unshift(this.createElement('00020000', 'UL', metaLength));
+
+        const sorted = elements.slice().sort((a, b) => this.compareTags(a.tag, b.tag));
+        const bytes = new Uint8Array(132 + this.encodedLength(meta, metaSyntax) + this.encodedLength(sorted, syntax));
+        const view = new DataView(bytes.buffer);
+        bytes.set([0x44, 0x49, 0x43, 0x4D], 128); // "DICM"
+
+        let offset = this.writeElements(view, 132, meta, metaSyntax);
+        offset = this.writeElements(view, offset, sorted, syntax);
+        return bytes;
+    }
+
+    compareTags(a, b) {
+        return parseInt(a, 16) - parseInt(b, 16);
+    }
+
+    // Bytes needed for a list of elements
+    encodedLength(elements, syntax) {
+        let length = 0;
+        for (const element of elements) {
+            length += this.headerLength(element, syntax);
+            if (element.items) {
+                for (const item of element.items) {
+                    length += 8 + this.encodedLength(item, syntax) + 8; // Item, its elements, Item Delimitation
+                }
+                length += 8; // Sequence Delimitation
+            } else {
+                length += this.paddedLength(element);
+            }
+        }
+        return length;
+    }
+
+    headerLength(element, syntax) {
+        if (!syntax.explicitVR) {
+            return 8;
+        }
+        return this.longLengthVRs.includes(this.outputVR(element)) ? 12 : 8;
+    }
+
+    // Values are written with even lengths (encapsulated data is already even)
+    paddedLength(element) {
+        return element.undefinedLength ? element.bytes.length : element.bytes.length + (element.bytes.length % 2);
+    }
+
+    outputVR(element) {
+        if (element.items) {
+            return 'SQ';
+        }
+        return element.vr && /^[A-Z]{2}$/.test(element.vr) ? element.vr : 'UN';
+    }
+
+    writeElements(view, offset, elements, syntax) {
+        for (const element of elements) {
+            const length = element.items || element.undefinedLength ? 0xFFFFFFFF : this.paddedLength(element);
+            offset = this.writeHeader(view, offset, element.tag, this.outputVR(element), length, syntax);
+
+            if (element.items) {
+                for (const item of element.items) {
+                    offset = this.writeHeader(view, offset, 'FFFEE000', null, 0xFFFFFFFF, syntax);
+                    offset = this.writeElements(view, offset, item, syntax);
+                    offset = this.writeHeader(view, offset, 'FFFEE00D', null, 0, syntax);
+                }
+                offset = this.writeHeader(view, offset, 'FFFEE0DD', null, 0, syntax);
+                continue;
+            }
+
+            new Uint8Array(view.buffer, view.byteOffset + offset, element.bytes.length).set(element.bytes);
+            offset += element.bytes.length;
+            if (!element.undefinedLength && element.bytes.length % 2) {
+                view.setUint8(offset, this.outputVR(element) === 'UI' || !this.isText(element.vr) ? 0 : 0x20);
+                offset++;
+            }
+        }
+        return offset;
+    }
+
+    // Tag, then VR and length for explicit VR (items and delimiters never have a VR)
+    writeHeader(view, offset, tag, vr, length, syntax) {
+        const littleEndian = syntax.littleEndian;
+        view.setUint16(offset, parseInt(tag.slice(0, 4), 16), littleEndian);
+        view.setUint16(offset + 2, parseInt(tag.slice(4), 16), littleEndian);
+
+        if (!syntax.explicitVR || vr === null) {
+            view.setUint32(offset + 4, length, littleEndian);
+            return offset + 8;
+        }
+
+        view.setUint8(offset + 4, vr.charCodeAt(0));
+        view.setUint8(offset + 5, vr.charCodeAt(1));
+        if (this.longLengthVRs.includes(vr)) {
+            view.setUint16(offset + 6, 0, littleEndian);
+            view.setUint32(offset + 8, length, littleEndian);
+            return offset + 12;
+        }
+        if (length > 0xFFFF) {
+            throw new Error(`Value of ${tag} (${vr}) is too long for its VR (${length} bytes)`);
+        }
+        view.setUint16(offset + 6, length, littleEndian);
+        return offset + 8;
+    }
+
+    isText(vr) {
+        return ['AE', 'AS', 'CS', 'DA', 'DS', 'DT', 'IS', 'LO', 'LT', 'PN', 'SH', 'ST', 'TM', 'UC', 'UI', 'UR', 'UT'].includes(vr);
+    }
+}
@@ -0,0 +1,192 @@
+// DICOMweb data source: QIDO-RS study and series search and WADO-RS retrieval of
+// whole series as multipart/related DICOM. Retrieved instances are Files for
+// DicomParser / DicomWorkerPool.
+class DicomWebClient {
+    // baseUrl is the DICOMweb root (e.g. https://pacs.example.org/dicom-web);
+    // headers are sent with every request, e.g. { Authorization: 'Bearer ...' }
+    constructor(baseUrl, { headers = {} } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.headers = headers;
+    }
+
+    // QIDO-RS study search. query holds attribute matches by keyword or tag
+    // ({ PatientName: 'DOE*', StudyDate: '20240101-' }) and limit/offset.
+    async searchStudies(query = {}, { signal } = {}) {
+        const results = await this.getJson(`/studies${this.queryString(query)}`, signal);
+        return results.map(attributes => ({
+            studyInstanceUID: this.jsonValue(attributes, '0020000D'),
+            patientName: this.jsonValue(attributes, '00100010') || '',
+            patientId: this.jsonValue(attributes, '00100020') || '',
+            date: this.jsonValue(attributes, '00080020') || '',
+            description: this.jsonValue(attributes, '00081030') || '',
+            accessionNumber: this.jsonValue(attributes, '00080050') || '',
+            modalities: this.jsonValues(attributes, '00080061'),
+            seriesCount: this.jsonValue(attributes, '00201206'),
+            instanceCount: this.jsonValue(attributes, '00201208')
+        }));
+    }
+
+    // QIDO-RS search for the series of a study
+    async searchSeries(studyInstanceUID, query = {}, { signal } = {}) {
+        const results = await this.getJson(`/studies/${encodeURIComponent(studyInstanceUID)}/series${this.queryString(query)}`, signal);
+        return results.map(attributes => ({
+            studyInstanceUID,
+            seriesInstanceUID: this.jsonValue(attributes, '0020000E'),
+            seriesNumber: this.jsonValue(attributes, '00200011'),
+            modality: this.jsonValue(attributes, '00080060') || '',
+            description: this.jsonValue(attributes, '0008103E') || '',
+            instanceCount: this.jsonValue(attributes, '00201209')
+        }));
+    }
+
+    // WADO-RS retrieval of every instance of a series, in the transfer syntax the
+    // server stores them in. onProgress is called with { loaded, total } bytes
+    // (total is null when the server does not send a Content-Length).
+    async retrieveSeries(studyInstanceUID, seriesInstanceUID, { signal, onProgress } = {}) {
+        const path = `/studies/${encodeURIComponent(studyInstanceUID)}/series/${encodeURIComponent(seriesInstanceUID)}`;
+        const response = await this.request(path, 'multipart/related; type="application/dicom"; transfer-syntax=*', signal);
+
+        const contentType = response.headers.get('Content-Type') || '';
+        const boundary = this.boundaryOf(contentType);
+        if (!/^multipart\/related/i.test(contentType) || !boundary) {
+            throw new Error(`WADO-RS response is not multipart/related (Content-Type ${contentType || 'missing'})`);
+        }
+
+        // Each instance is copied into a File of its own, so the response body can be
+        // released and the instance read again (a worker may take over a buffer)
+        const body = await this.readBody(response, onProgress);
+        return this.splitMultipart(body, boundary).map((part, index) =>
+            new File([part], `${seriesInstanceUID}-${index + 1}.dcm`, { type: 'application/dicom' }));
+    }
+
+    async getJson(path, signal) {
+        const response = await this.request(path, 'application/dicom+json', signal);
+        // 204 No Content is an empty result
+        if (response.status === 204) {
+            return [];
+        }
+        return response.json();
+    }
+
+    async request(path, accept, signal) {
+        const response = await fetch(this.baseUrl + path, {
+            headers: { ...this.headers, Accept: accept },
+            signal
+        });
+        if (!response.ok) {
+            throw new Error(`DICOMweb request ${path} failed: ${response.status} ${response.statusText}`);
+        }
+        return response;
+    }
+
+    queryString(query) {
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries(query)) {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, value);
+            }
+        }
+        const text = params.toString();
+        return text ? `?${text}` : '';
+    }
+
+    // First value of an attribute in DICOM JSON; person names as their alphabetic form
+    jsonValue(attributes, tag) {
+        const values = this.jsonValues(attributes, tag);
+        return values.length > 0 ? values[0] : null;
+    }
+
+    jsonValues(attributes, tag) {
+        const attribute = attributes[tag];
+        if (!attribute || !attribute.Value) {
+            return [];
+        }
+        return attribute.Value.map(value =>
+            (value && typeof value === 'object' && 'Alphabetic' in value ? value.Alphabetic.replace(/\^/g, ' ').trim() : value));
+    }
+
+    boundaryOf(contentType) {
+        const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+        return match ? match[1] || match[2] : null;
+    }
+
+    // Read the response body, reporting progress while it arrives
+    async readBody(response, onProgress) {
+        const total = parseInt(response.headers.get('Content-Length'), 10) || null;
+        if (!onProgress || !response.body) {
+            return new Uint8Array(await response.arrayBuffer());
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            chunks.push(value);
+            loaded += value.byteLength;
+            onProgress({ loaded, total });
+        }
+
+        const body = new Uint8Array(loaded);
+        let offset = 0;
+        for (const chunk of chunks) {
+            body.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+        return body;
+    }
+
+    // Bodies of the parts of a multipart message (views into body)
+    splitMultipart(body, boundary) {
+        const delimiter = new TextEncoder().encode(`--${boundary}`);
+        const parts = [];
+
+        let position = this.indexOf(body, delimiter, 0);
+        while (position !== -1) {
+            let start = position + delimiter.length;
+            // "--" after the delimiter closes the message
+            if (body[start] === 0x2D && body[start + 1] === 0x2D) {
+                break;
+            }
+            const headersEnd = this.indexOf(body, [0x0D, 0x0A, 0x0D, 0x0A], start);
+            if (headersEnd === -1) {
+                break;
+            }
+            start = headersEnd + 4;
+
+            const next = this.indexOf(body, delimiter, start);
+            if (next === -1) {
+                throw new Error('Multipart response ends without its closing boundary');
+            }
+            // The CRLF before a delimiter belongs to the delimiter
+            let end = next;
+            if (end >= 2 && body[end - 2] === 0x0D && body[end - 1] === 0x0A) {
+                end -= 2;
+            }
+            parts.push(body.subarray(start, end));
+            position = next;
+        }
+
+        return parts;
+    }
+
+    indexOf(bytes, pattern, from) {
+        const first = pattern[0];
+        for (let i = bytes.indexOf(first, from); i !== -1 && i + pattern.length <= bytes.length; i = bytes.indexOf(first, i + 1)) {
+            let match = true;
+            for (let j = 1; j < pattern.length; j++) {
+                if (bytes[i + j] !== pattern[j]) {
+                    match = false;
+                    break;
+                }
+            }
+            if (match) {
+                return i;
+            }
+        }
+        return -1;
+    }
+}
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// Minimal DICOMweb server for trying and testing DicomWebClient offline. Serves the
+// DICOM files of a folder (fixtures/dicomweb by default) under /dicomweb:
+//
+//   GET /dicomweb/studies                                  QIDO-RS study search
+//   GET /dicomweb/studies/{study}/series                   QIDO-RS series search
+//   GET /dicomweb/studies/{study}/series/{series}/instances QIDO-RS instance search
+//   GET /dicomweb/studies/{study}[/series/{series}[/instances/{sop}]]
+//                                                          WADO-RS, multipart/related
+//
+// and the viewer itself from /, so http://localhost:8042/ can load from
+// http://localhost:8042/dicomweb. With --token, requests must carry
+// "Authorization: Bearer <token>".
+//
+//   node dicomweb_mock_server.js [--port 8042] [--fixtures <folder>] [--token <token>]
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { DicomParser, DicomDictionary, listFiles } = require('./ct_viewer');
+
+const contentTypes = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.json': 'application/json',
+    '.ico': 'image/x-icon'
+};
+
+// Attributes returned by the QIDO-RS searches at each level
+const studyAttributes = ['00080020', '00080030', '00080050', '00081030', '00100010', '00100020', '0020000D', '00200010'];
+const seriesAttributes = ['00080060', '0008103E', '0020000E', '00200011'];
+const instanceAttributes = ['00080016', '00080018', '00200013', '00280010', '00280011'];
+
+// Query keys that are not attribute matches
+const queryControls = ['limit', 'offset', 'includefield', 'fuzzymatching'];
+
+function parseArguments(argv) {
+    const options = { port: 8042, fixtures: path.join(__dirname, 'fixtures', 'dicomweb'), token: null };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        if (argv[i] === '--port' && value) {
+            options.port = parseInt(value, 10);
+            i++;
+        } else if (argv[i] === '--fixtures' && value) {
+            options.fixtures = path.resolve(value);
+            i++;
+        } else if (argv[i] === '--token' && value) {
+            options.token = value;
+            i++;
+        } else {
+            throw new Error(`Unknown argument ${argv[i]}\nUsage: node dicomweb_mock_server.js [--port 8042] [--fixtures <folder>] [--token <token>]`);
+        }
+    }
+    return options;
+}
+
+// Index the DICOM files of the fixture folder by study, series and instance UID
+function loadInstances(folder) {
+    // The parser's progress logging is not needed here
+    const parser = new DicomParser({ logger: { log() {}, warn() {} } });
+    const instances = [];
+
+    for (const file of listFiles(folder)) {
+        const bytes = fs.readFileSync(file.path);
+        try {
+            const arrayBuffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+            const { dataset } = parser.parseDataset(arrayBuffer);
+            const studyUID = dataset.string('0020000D');
+            const seriesUID = dataset.string('0020000E');
+            const sopUID = dataset.string('00080018');
+            if (studyUID && seriesUID && sopUID) {
+                instances.push({ studyUID, seriesUID, sopUID, dataset, bytes });
+            }
+        } catch (error) {
+            console.warn(`Skipping ${file.path}: ${error.message}`);
+        }
+    }
+
+    return instances;
+}
+
+// An attribute of a dataset in DICOM JSON form
+function jsonAttribute(dataset, tag) {
+    const element = dataset.element(tag);
+    if (!element) {
+        return null;
+    }
+    const values = dataset.multiValue(tag) || [];
+    if (element.vr === 'PN') {
+        return { vr: 'PN', Value: values.map(value => ({ Alphabetic: value })) };
+    }
+    return values.length > 0 ? { vr: element.vr, Value: values } : { vr: element.vr };
+}
+
+function jsonAttributes(dataset, tags) {
+    const result = {};
+    for (const tag of tags) {
+        const attribute = jsonAttribute(dataset, tag);
+        if (attribute) {
+            result[tag] = attribute;
+        }
+    }
+    return result;
+}
+
+// QIDO-RS matching: UID lists, date ranges and * / ? wildcards
+function matches(dataset, tag, pattern) {
+    const value = dataset.string(tag) || '';
+    const element = dataset.element(tag);
+    if (element && element.vr === 'UI') {
+        return pattern.split(/[,\\]/).includes(value);
+    }
+    if (element && (element.vr === 'DA' || element.vr === 'TM') && pattern.includes('-')) {
+        const [from, to] = pattern.split('-');
+        return (!from || value >= from) && (!to || value <= to);
+    }
+    const regex = new RegExp('^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i');
+    return regex.test(value);
+}
+
+function filterByQuery(entries, query, dictionary) {
+    let results = entries;
+    for (const [key, pattern] of query) {
+        if (queryControls.includes(key) || pattern === '') {
+            continue;
+        }
+        const tag = dictionary.resolveTag(key);
+        results = results.filter(entry => matches(entry.dataset, tag, pattern));
+    }
+    const offset = parseInt(query.get('offset'), 10) || 0;
+    const limit = parseInt(query.get('limit'), 10) || results.length;
+    return results.slice(offset, offset + limit);
+}
+
+// One entry per distinct value of key, represented by its first instance
+function groupBy(instances, key) {
+    const groups = new Map();
+    for (const instance of instances) {
+        if (!groups.has(instance[key])) {
+            groups.set(instance[key], { dataset: instance.dataset, instances: [] });
+        }
+        groups.get(instance[key]).instances.push(instance);
+    }
+    return Array.from(groups.values());
+}
+
+function sendJson(response, results) {
+    if (results.length === 0) {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+    const body = JSON.stringify(results);
+    response.writeHead(200, { 'Content-Type': 'application/dicom+json', 'Content-Length': Buffer.byteLength(body) });
+    response.end(body);
+}
+
+function sendMultipart(response, instances) {
+    if (instances.length === 0) {
+        sendError(response, 404, 'No such instances');
+        return;
+    }
+    const boundary = `mock-dicomweb-${Date.now().toString(16)}`;
+    const parts = [];
+    for (const instance of instances) {
+        const transferSyntax = instance.dataset.string('00020010') || '1.2.840.10008.1.2';
+        parts.push(Buffer.from(`--${boundary}\r\nContent-Type: application/dicom; transfer-syntax=${transferSyntax}\r\n\r\n`));
+        parts.push(instance.bytes, Buffer.from('\r\n'));
+    }
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+    const body = Buffer.concat(parts);
+
+    response.writeHead(200, {
+        'Content-Type': `multipart/related; type="application/dicom"; boundary=${boundary}`,
+        'Content-Length': body.length
+    });
+    response.end(body);
+}
+
+function sendError(response, status, message) {
+    response.writeHead(status, { 'Content-Type': 'text/plain' });
+    response.end(message);
+}
+
+// Files of the viewer from the folder of this script: index.html, favicon.ico and
+// the top-level scripts. Nothing else there (.git, node_modules, ...) is served.
+function sendStatic(response, pathname) {
+    const name = pathname === '/' ? 'index.html' : decodeURIComponent(pathname.slice(1));
+    const allowed = name === 'index.html' || name === 'favicon.ico' || /^[\w.-]+\.js$/.test(name);
+    const filePath = path.join(__dirname, name);
+    if (!allowed || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        sendError(response, 404, 'Not found');
+        return;
+    }
+    response.writeHead(200, { 'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(response);
+}
+
+function handleDicomWeb(request, response, url, instances, dictionary) {
+    const segments = url.pathname.split('/').filter(Boolean).slice(1).map(decodeURIComponent);
+    const query = url.searchParams;
+    const [studiesLevel, studyUID, seriesLevel, seriesUID, instancesLevel, sopUID] = segments;
+
+    if (studiesLevel !== 'studies' || (seriesLevel && seriesLevel !== 'series') ||
+        (instancesLevel && instancesLevel !== 'instances') || segments.length > 6) {
+        sendError(response, 404, 'Unknown DICOMweb resource');
+        return;
+    }
+
+    const selected = instances.filter(instance =>
+        (!studyUID || instance.studyUID === studyUID) &&
+        (!seriesUID || instance.seriesUID === seriesUID) &&
+        (!sopUID || instance.sopUID === sopUID));
+
+    // QIDO-RS
+    if (segments.length === 1) {
+        const studies = filterByQuery(groupBy(selected, 'studyUID'), query, dictionary);
+        sendJson(response, studies.map(study => ({
+            ...jsonAttributes(study.dataset, studyAttributes),
+            '00080061': { vr: 'CS', Value: Array.from(new Set(study.instances.map(i => i.dataset.string('00080060')))) },
+            '00201206': { vr: 'IS', Value: [new Set(study.instances.map(i => i.seriesUID)).size] },
+            '00201208': { vr: 'IS', Value: [study.instances.length] }
+        })));
+        return;
+    }
+    if (segments.length === 3) {
+        const series = filterByQuery(groupBy(selected, 'seriesUID'), query, dictionary);
+        sendJson(response, series.map(entry => ({
+            ...jsonAttributes(entry.dataset, seriesAttributes),
+            '00201209': { vr: 'IS', Value: [entry.instances.length] }
+        })));
+        return;
+    }
+    if (segments.length === 5) {
+        const found = filterByQuery(selected.map(instance => ({ dataset: instance.dataset })), query, dictionary);
+        sendJson(response, found.map(entry => jsonAttributes(entry.dataset, instanceAttributes)));
+        return;
+    }
+
+    // WADO-RS, instances in series and instance number order
+    selected.sort((a, b) => a.seriesUID.localeCompare(b.seriesUID) ||
+        (a.dataset.intString('00200013') || 0) - (b.dataset.intString('00200013') || 0));
+    sendMultipart(response, selected);
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const dictionary = new DicomDictionary();
+
+    const instances = loadInstances(options.fixtures);
+
+    const server = http.createServer((request, response) => {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Authorization, Accept, Content-Type');
+        response.setHeader('Access-Control-Expose-Headers', 'Content-Type, Content-Length');
+        response.on('finish', () => console.log(`${request.method} ${request.url} ${response.statusCode}`));
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+        if (request.method !== 'GET') {
+            sendError(response, 405, 'Only GET is supported');
+            return;
+        }
+
+        const url = new URL(request.url, 'http://localhost');
+        try {
+            if (url.pathname === '/dicomweb' || url.pathname.startsWith('/dicomweb/')) {
+                if (options.token && request.headers.authorization !== `Bearer ${options.token}`) {
+                    sendError(response, 401, 'Missing or wrong Authorization header');
+                    return;
+                }
+                handleDicomWeb(request, response, url, instances, dictionary);
+            } else {
+                sendStatic(response, url.pathname);
+            }
+        } catch (error) {
+            sendError(response, 400, error.message);
+        }
+    });
+
+    server.listen(options.port, () => {
+        console.log(`Serving ${instances.length} instances from ${options.fixtures}`);
+        console.log(`Viewer:   http://localhost:${options.port}/`);
+        console.log(`DICOMweb: http://localhost:${options.port}/dicomweb`);
+    });
+}
+
+main();
@@ -0,0 +1,92 @@
+// Recognises the viewer's input formats from a file's first bytes rather than its
+// name, for dropped files and ZIP contents: 'dicom', 'nifti' (also gzip compressed),
+// 'nrrd', 'metaimage', 'zip' or 'unknown' (headerless raw data among others).
+class FormatSniffer {
+    constructor() {
+        this.gzip = new Gzip();
+        this.zipReader = new ZipReader();
+
+        // Bytes needed to tell the formats apart (NIfTI-1 magic ends at 348)
+        this.headLength = 352;
+    }
+
+    // File or ZIP entry (see ZipReader) -> format name
+    async sniff(file) {
+        let head = await this.readHead(file, this.headLength);
+
+        if (this.zipReader.isZip(head)) {
+            return 'zip';
+        }
+        if (this.gzip.isGzip(head)) {
+            // Only gzip-compressed NIfTI is read; look inside the compressed stream
+            const compressed = file instanceof Blob ? file : await this.readHead(file, 65536);
+            try {
+                head = await this.gzip.decompressHead(compressed, this.headLength);
+            } catch (error) {
+                return 'unknown';
+            }
+            return this.isNifti(head) ? 'nifti' : 'unknown';
+        }
+
+        if (this.isDicom(head)) {
+            return 'dicom';
+        }
+        if (this.isNifti(head)) {
+            return 'nifti';
+        }
+
+        const text = String.fromCharCode(...head.subarray(0, 64));
+        if (/^NRRD000\d/.test(text)) {
+            return 'nrrd';
+        }
+        if (/^(ObjectType|ObjectSubType|NDims|Comment|Name|ID|ParentID|CompressedData|TransformType)\s*=/.test(text)) {
+            return 'metaimage';
+        }
+        return 'unknown';
+    }
+
+    async readHead(file, length) {
+        if (file.head) {
+            return file.head(length);
+        }
+        return new Uint8Array(await file.slice(0, length).arrayBuffer());
+    }
+
+    // "DICM" after the 128-byte preamble, or a bare dataset starting with group 0002
+    // or 0008 in either byte order
+    isDicom(head) {
+        if (head.length >= 132 && String.fromCharCode(head[128], head[129], head[130], head[131]) === 'DICM') {
+            return true;
+        }
+        if (head.length < 8) {
+            return false;
+        }
+        const groupLittle = head[0] | (head[1] << 8);
+        const groupBig = (head[0] << 8) | head[1];
+        if (groupLittle !== 0x0002 && groupLittle !== 0x0008 && groupBig !== 0x0008) {
+            return false;
+        }
+        // Explicit VR: two upper case letters; implicit VR: a plausible 32-bit length
+        const vr = String.fromCharCode(head[4], head[5]);
+        const implicitLength = head[4] | (head[5] << 8) | (head[6] << 16) | (head[7] << 24);
+        return /^[A-Z]{2}$/.test(vr) || (implicitLength >= 0 && implicitLength < 1024);
+    }
+
+    // sizeof_hdr of 348 (NIfTI-1) or 540 (NIfTI-2) in either byte order, with its magic
+    isNifti(head) {
+        if (head.length < 8) {
+            return false;
+        }
+        const view = new DataView(head.buffer, head.byteOffset, head.byteLength);
+        for (const littleEndian of [true, false]) {
+            const size = view.getInt32(0, littleEndian);
+            if (size === 348 && head.length >= 347) {
+                return head[344] === 0x6E && (head[345] === 0x2B || head[345] === 0x69) && head[346] === 0x31;
+            }
+            if (size === 540) {
+                return head[4] === 0x6E && (head[5] === 0x2B || head[5] === 0x69) && head[6] === 0x32;
+            }
+        }
+        return false;
+    }
+}
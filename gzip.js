@@ -0,0 +1,59 @@
+// Gzip compression using the platform's CompressionStream/DecompressionStream,
+// so .gz files are handled in the browser (and in Node) without extra libraries
+class Gzip {
+    // Gzip streams start with the magic bytes 1F 8B
+    isGzip(bytes) {
+        return bytes.length >= 2 && bytes[0] === 0x1F && bytes[1] === 0x8B;
+    }
+
+    async decompress(bytes, format = 'gzip') {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress data (no DecompressionStream)');
+        }
+        return this.pipe(bytes, new DecompressionStream(format));
+    }
+
+    // The first length bytes of the decompressed data (fewer if it is shorter), for
+    // sniffing a file's format without inflating all of it. A stream cut short, as
+    // when bytes is only the start of a file, still gives what was decoded.
+    async decompressHead(bytes, length, format = 'gzip') {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress data (no DecompressionStream)');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+        const reader = stream.getReader();
+        const head = new Uint8Array(length);
+        let filled = 0;
+
+        try {
+            while (filled < length) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+                const count = Math.min(value.length, length - filled);
+                head.set(value.subarray(0, count), filled);
+                filled += count;
+            }
+        } catch (error) {
+            if (filled === 0) {
+                throw error;
+            }
+        }
+        reader.cancel().catch(() => {});
+        return head.subarray(0, filled);
+    }
+
+    async compress(bytes, format = 'gzip') {
+        if (typeof CompressionStream === 'undefined') {
+            throw new Error('This browser cannot compress data (no CompressionStream)');
+        }
+        return this.pipe(bytes, new CompressionStream(format));
+    }
+
+    // bytes may also be a Blob, or a list of parts handled as one stream without joining them first
+    async pipe(bytes, transformStream) {
+        const stream = new Blob(Array.isArray(bytes) ? bytes : [bytes]).stream().pipeThrough(transformStream);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
@@ -0,0 +1,425 @@
+// JPEG Baseline / Extended (sequential DCT, Huffman coded) decoder for encapsulated DICOM pixel data
+class JpegDecoder {
+    constructor() {
+        // Natural (row-major) index of each coefficient in zig-zag order
+        this.zigZag = new Int32Array([
+             0,  1,  8, 16,  9,  2,  3, 10,
+            17, 24, 32, 25, 18, 11,  4,  5,
+            12, 19, 26, 33, 40, 48, 41, 34,
+            27, 20, 13,  6,  7, 14, 21, 28,
+            35, 42, 49, 56, 57, 50, 43, 36,
+            29, 22, 15, 23, 30, 37, 44, 51,
+            58, 59, 52, 45, 38, 31, 39, 46,
+            53, 60, 61, 54, 47, 55, 62, 63
+        ]);
+
+        // IDCT basis: idctTable[u * 8 + x] = C(u) / 2 * cos((2x + 1) * u * PI / 16)
+        this.idctTable = new Float32Array(64);
+        for (let u = 0; u < 8; u++) {
+            const cu = u === 0 ? Math.SQRT1_2 : 1;
+            for (let x = 0; x < 8; x++) {
+                this.idctTable[u * 8 + x] = cu / 2 * Math.cos((2 * x + 1) * u * Math.PI / 16);
+            }
+        }
+
+        // Scratch space for the row pass of the IDCT
+        this.idctRows = new Float32Array(64);
+    }
+
+    // Decode a complete JPEG stream. Returns the image size, sample precision and
+    // the pixels with components interleaved (YCbCr is converted to RGB).
+    decode(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            throw new Error('Not a JPEG stream (missing SOI marker)');
+        }
+
+        const quantTables = [];
+        const dcTables = [];
+        const acTables = [];
+        let frame = null;
+        let resetInterval = 0;
+        let adobeTransform = null;
+        let offset = 2;
+
+        while (offset < bytes.length - 1) {
+            if (bytes[offset] !== 0xFF) {
+                offset++;
+                continue;
+            }
+
+            const marker = bytes[offset + 1];
+            offset += 2;
+
+            if (marker === 0xFF) { // Fill byte
+                offset--;
+                continue;
+            }
+            if (marker === 0xD9) { // EOI
+                break;
+            }
+            if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { // TEM / stray RSTn
+                continue;
+            }
+
+            const length = (bytes[offset] << 8) | bytes[offset + 1];
+            const segmentEnd = offset + length;
+            let p = offset + 2;
+
+            if (marker === 0xDB) { // DQT
+                while (p < segmentEnd) {
+                    const precision = bytes[p] >> 4;
+                    const id = bytes[p] & 15;
+                    p++;
+                    const table = new Int32Array(64);
+                    for (let k = 0; k < 64; k++) {
+                        if (precision) {
+                            table[this.zigZag[k]] = (bytes[p] << 8) | bytes[p + 1];
+                            p += 2;
+                        } else {
+                            table[this.zigZag[k]] = bytes[p++];
+                        }
+                    }
+                    quantTables[id] = table;
+                }
+            } else if (marker === 0xC4) { // DHT
+                while (p < segmentEnd) {
+                    const tableClass = bytes[p] >> 4;
+                    const id = bytes[p] & 15;
+                    const counts = bytes.subarray(p + 1, p + 17);
+                    p += 17;
+                    let total = 0;
+                    for (let i = 0; i < 16; i++) {
+                        total += counts[i];
+                    }
+                    const table = this.buildHuffmanTable(counts, bytes.subarray(p, p + total));
+                    p += total;
+                    (tableClass === 0 ? dcTables : acTables)[id] = table;
+                }
+            } else if (marker === 0xC0 || marker === 0xC1) { // SOF0 baseline, SOF1 extended
+                frame = {
+                    precision: bytes[p],
+                    height: (bytes[p + 1] << 8) | bytes[p + 2],
+                    width: (bytes[p + 3] << 8) | bytes[p + 4],
+                    components: []
+                };
+                const count = bytes[p + 5];
+                p += 6;
+                for (let i = 0; i < count; i++) {
+                    frame.components.push({
+                        id: bytes[p],
+                        h: bytes[p + 1] >> 4,
+                        v: bytes[p + 1] & 15,
+                        quantTable: bytes[p + 2]
+                    });
+                    p += 3;
+                }
+                this.prepareFrame(frame);
+            } else if (marker >= 0xC2 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                throw new Error(`Unsupported JPEG process (SOF marker 0xFF${marker.toString(16).toUpperCase()})`);
+            } else if (marker === 0xDD) { // DRI
+                resetInterval = (bytes[p] << 8) | bytes[p + 1];
+            } else if (marker === 0xEE) { // APP14 (Adobe colour transform flag)
+                if (String.fromCharCode(bytes[p], bytes[p + 1], bytes[p + 2], bytes[p + 3], bytes[p + 4]) === 'Adobe') {
+                    adobeTransform = bytes[p + 11];
+                }
+            } else if (marker === 0xDA) { // SOS
+                if (!frame) {
+                    throw new Error('JPEG scan found before frame header');
+                }
+                const count = bytes[p];
+                p++;
+                const scanComponents = [];
+                for (let i = 0; i < count; i++) {
+                    const component = frame.components.find(c => c.id === bytes[p]);
+                    component.dcTable = dcTables[bytes[p + 1] >> 4];
+                    component.acTable = acTables[bytes[p + 1] & 15];
+                    scanComponents.push(component);
+                    p += 2;
+                }
+                // Spectral selection and successive approximation are fixed for sequential DCT
+                p += 3;
+                offset = this.decodeScan(bytes, p, frame, scanComponents, resetInterval, quantTables);
+                continue;
+            }
+
+            offset = segmentEnd;
+        }
+
+        if (!frame) {
+            throw new Error('JPEG stream has no frame header');
+        }
+
+        return {
+            width: frame.width,
+            height: frame.height,
+            bitsPerSample: frame.precision,
+            components: frame.components.length,
+            pixels: this.outputPixels(frame, adobeTransform)
+        };
+    }
+
+    // Build the MAXCODE / VALPTR / MINCODE decoding tables of ITU T.81 F.2.2.3
+    buildHuffmanTable(counts, values) {
+        const maxCode = new Int32Array(18).fill(-1);
+        const valPtr = new Int32Array(17);
+        const minCode = new Int32Array(17);
+        let code = 0;
+        let k = 0;
+
+        for (let length = 1; length <= 16; length++) {
+            const count = counts[length - 1];
+            if (count) {
+                valPtr[length] = k;
+                minCode[length] = code;
+                code += count;
+                k += count;
+                maxCode[length] = code - 1;
+            }
+            code <<= 1;
+        }
+        // Sentinel so that decoding always terminates
+        maxCode[17] = 0x7FFFFFFF;
+
+        return { maxCode, valPtr, minCode, values: Uint8Array.from(values) };
+    }
+
+    // Allocate the sample planes of every component, padded to whole MCUs
+    prepareFrame(frame) {
+        frame.maxH = Math.max(...frame.components.map(c => c.h));
+        frame.maxV = Math.max(...frame.components.map(c => c.v));
+        frame.mcusPerLine = Math.ceil(frame.width / (8 * frame.maxH));
+        frame.mcusPerColumn = Math.ceil(frame.height / (8 * frame.maxV));
+
+        for (const component of frame.components) {
+            component.blocksPerLine = Math.ceil(Math.ceil(frame.width * component.h / frame.maxH) / 8);
+            component.blocksPerColumn = Math.ceil(Math.ceil(frame.height * component.v / frame.maxV) / 8);
+            component.planeWidth = frame.mcusPerLine * component.h * 8;
+            component.planeHeight = frame.mcusPerColumn * component.v * 8;
+            component.plane = new Float32Array(component.planeWidth * component.planeHeight);
+        }
+    }
+
+    // Decode the entropy coded data of one scan. Returns the offset of the next marker.
+    decodeScan(bytes, offset, frame, components, resetInterval, quantTables) {
+        const reader = { bytes, offset, bitBuffer: 0, bitCount: 0, markerHit: false };
+        const coefficients = new Float32Array(64);
+        const single = components.length === 1;
+        const totalMcus = single
+            ? components[0].blocksPerLine * components[0].blocksPerColumn
+            : frame.mcusPerLine * frame.mcusPerColumn;
+
+        for (const component of components) {
+            component.prediction = 0;
+        }
+
+        for (let mcu = 0; mcu < totalMcus; mcu++) {
+            if (resetInterval && mcu > 0 && mcu % resetInterval === 0) {
+                this.processRestart(reader, components);
+            }
+
+            if (single) {
+                const component = components[0];
+                const blockRow = Math.floor(mcu / component.blocksPerLine);
+                const blockCol = mcu % component.blocksPerLine;
+                this.decodeBlock(reader, component, coefficients, quantTables);
+                this.storeBlock(component, coefficients, blockRow, blockCol, frame.precision);
+            } else {
+                const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+                const mcuCol = mcu % frame.mcusPerLine;
+                for (const component of components) {
+                    for (let v = 0; v < component.v; v++) {
+                        for (let h = 0; h < component.h; h++) {
+                            this.decodeBlock(reader, component, coefficients, quantTables);
+                            this.storeBlock(component, coefficients, mcuRow * component.v + v,
+                                            mcuCol * component.h + h, frame.precision);
+                        }
+                    }
+                }
+            }
+        }
+
+        // Skip to the marker that ends the scan
+        let p = reader.offset;
+        while (p < bytes.length - 1 && !(bytes[p] === 0xFF && bytes[p + 1] !== 0x00 &&
+               !(bytes[p + 1] >= 0xD0 && bytes[p + 1] <= 0xD7))) {
+            p++;
+        }
+        return p;
+    }
+
+    // Reset the bit reader and DC predictions at an RSTn marker
+    processRestart(reader, components) {
+        reader.bitBuffer = 0;
+        reader.bitCount = 0;
+        reader.markerHit = false;
+
+        const bytes = reader.bytes;
+        let p = reader.offset;
+        while (p < bytes.length - 1 && !(bytes[p] === 0xFF && bytes[p + 1] >= 0xD0 && bytes[p + 1] <= 0xD7)) {
+            p++;
+        }
+        reader.offset = p + 2;
+
+        for (const component of components) {
+            component.prediction = 0;
+        }
+    }
+
+    readBit(reader) {
+        if (reader.bitCount === 0) {
+            if (reader.markerHit || reader.offset >= reader.bytes.length) {
+                // Pad with zeros past the end of the entropy coded segment
+                return 0;
+            }
+            const byte = reader.bytes[reader.offset];
+            if (byte === 0xFF) {
+                const next = reader.bytes[reader.offset + 1];
+                if (next !== 0x00) {
+                    reader.markerHit = true;
+                    return 0;
+                }
+                reader.offset += 2; // Skip the stuffed zero byte
+            } else {
+                reader.offset++;
+            }
+            reader.bitBuffer = byte;
+            reader.bitCount = 8;
+        }
+        reader.bitCount--;
+        return (reader.bitBuffer >> reader.bitCount) & 1;
+    }
+
+    readBits(reader, count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            value = (value << 1) | this.readBit(reader);
+        }
+        return value;
+    }
+
+    decodeHuffman(reader, table) {
+        let code = this.readBit(reader);
+        let length = 1;
+        while (code > table.maxCode[length]) {
+            code = (code << 1) | this.readBit(reader);
+            length++;
+        }
+        if (length > 16) {
+            throw new Error('Invalid JPEG Huffman code');
+        }
+        return table.values[table.valPtr[length] + code - table.minCode[length]];
+    }
+
+    // Read an additional-bits value and extend its sign (ITU T.81 F.2.2.1)
+    receiveExtend(reader, size) {
+        if (size === 0) {
+            return 0;
+        }
+        const value = this.readBits(reader, size);
+        return value < (1 << (size - 1)) ? value - (1 << size) + 1 : value;
+    }
+
+    // Decode and dequantize one 8x8 block into natural order
+    decodeBlock(reader, component, coefficients, quantTables) {
+        const quant = quantTables[component.quantTable];
+        coefficients.fill(0);
+
+        component.prediction += this.receiveExtend(reader, this.decodeHuffman(reader, component.dcTable));
+        coefficients[0] = component.prediction * quant[0];
+
+        let k = 1;
+        while (k < 64) {
+            const rs = this.decodeHuffman(reader, component.acTable);
+            const size = rs & 15;
+            const run = rs >> 4;
+            if (size === 0) {
+                if (run < 15) {
+                    break; // End of block
+                }
+                k += 16;
+                continue;
+            }
+            k += run;
+            if (k > 63) {
+                break;
+            }
+            const z = this.zigZag[k];
+            coefficients[z] = this.receiveExtend(reader, size) * quant[z];
+            k++;
+        }
+    }
+
+    // Inverse DCT a block and write the level-shifted samples into the component plane
+    storeBlock(component, coefficients, blockRow, blockCol, precision) {
+        const table = this.idctTable;
+        const temp = this.idctRows;
+        const maxValue = (1 << precision) - 1;
+        const levelShift = 1 << (precision - 1);
+
+        // Rows
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+                let sum = 0;
+                for (let u = 0; u < 8; u++) {
+                    sum += table[u * 8 + x] * coefficients[y * 8 + u];
+                }
+                temp[y * 8 + x] = sum;
+            }
+        }
+
+        // Columns
+        const planeWidth = component.planeWidth;
+        const base = blockRow * 8 * planeWidth + blockCol * 8;
+        for (let x = 0; x < 8; x++) {
+            for (let y = 0; y < 8; y++) {
+                let sum = 0;
+                for (let v = 0; v < 8; v++) {
+                    sum += table[v * 8 + y] * temp[v * 8 + x];
+                }
+                const value = Math.round(sum + levelShift);
+                component.plane[base + y * planeWidth + x] = value < 0 ? 0 : (value > maxValue ? maxValue : value);
+            }
+        }
+    }
+
+    // Upsample subsampled components and interleave them into the output image
+    outputPixels(frame, adobeTransform) {
+        const { width, height, components } = frame;
+        const count = components.length;
+        const maxValue = (1 << frame.precision) - 1;
+        const pixels = frame.precision > 8
+            ? new Uint16Array(width * height * count)
+            : new Uint8Array(width * height * count);
+
+        for (let c = 0; c < count; c++) {
+            const component = components[c];
+            const scaleX = component.h / frame.maxH;
+            const scaleY = component.v / frame.maxV;
+            for (let y = 0; y < height; y++) {
+                const row = Math.floor(y * scaleY) * component.planeWidth;
+                for (let x = 0; x < width; x++) {
+                    pixels[(y * width + x) * count + c] = component.plane[row + Math.floor(x * scaleX)];
+                }
+            }
+        }
+
+        // Three component images are YCbCr unless marked as RGB by Adobe or by component ids
+        const isRGB = adobeTransform === 0 ||
+            (count === 3 && components[0].id === 0x52 && components[1].id === 0x47 && components[2].id === 0x42);
+        if (count === 3 && !isRGB) {
+            const half = (maxValue + 1) / 2;
+            for (let i = 0; i < pixels.length; i += 3) {
+                const Y = pixels[i];
+                const cb = pixels[i + 1] - half;
+                const cr = pixels[i + 2] - half;
+                pixels[i] = Math.max(0, Math.min(maxValue, Math.round(Y + 1.402 * cr)));
+                pixels[i + 1] = Math.max(0, Math.min(maxValue, Math.round(Y - 0.344136 * cb - 0.714136 * cr)));
+                pixels[i + 2] = Math.max(0, Math.min(maxValue, Math.round(Y + 1.772 * cb)));
+            }
+        }
+
+        return pixels;
+    }
+}
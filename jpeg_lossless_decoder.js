@@ -0,0 +1,181 @@
+// JPEG Lossless (Process 14, Huffman coded, SOF3) decoder for encapsulated DICOM pixel data.
+// Shares the marker, Huffman and bit reading code of the DCT decoder.
+class JpegLosslessDecoder extends JpegDecoder {
+    // Decode a complete lossless JPEG stream. Returns the image size, sample
+    // precision and the pixels with components interleaved.
+    decode(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            throw new Error('Not a JPEG stream (missing SOI marker)');
+        }
+
+        const dcTables = [];
+        let frame = null;
+        let resetInterval = 0;
+        let pixels = null;
+        let offset = 2;
+
+        while (offset < bytes.length - 1) {
+            if (bytes[offset] !== 0xFF) {
+                offset++;
+                continue;
+            }
+
+            const marker = bytes[offset + 1];
+            offset += 2;
+
+            if (marker === 0xFF) { // Fill byte
+                offset--;
+                continue;
+            }
+            if (marker === 0xD9) { // EOI
+                break;
+            }
+            if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { // TEM / stray RSTn
+                continue;
+            }
+
+            const length = (bytes[offset] << 8) | bytes[offset + 1];
+            const segmentEnd = offset + length;
+            let p = offset + 2;
+
+            if (marker === 0xC4) { // DHT (lossless scans only use DC-class tables)
+                while (p < segmentEnd) {
+                    const id = bytes[p] & 15;
+                    const counts = bytes.subarray(p + 1, p + 17);
+                    p += 17;
+                    let total = 0;
+                    for (let i = 0; i < 16; i++) {
+                        total += counts[i];
+                    }
+                    dcTables[id] = this.buildHuffmanTable(counts, bytes.subarray(p, p + total));
+                    p += total;
+                }
+            } else if (marker === 0xC3) { // SOF3 lossless
+                frame = {
+                    precision: bytes[p],
+                    height: (bytes[p + 1] << 8) | bytes[p + 2],
+                    width: (bytes[p + 3] << 8) | bytes[p + 4],
+                    components: []
+                };
+                const count = bytes[p + 5];
+                p += 6;
+                for (let i = 0; i < count; i++) {
+                    if (bytes[p + 1] !== 0x11) {
+                        throw new Error('Subsampled lossless JPEG components are not supported');
+                    }
+                    frame.components.push({ id: bytes[p] });
+                    p += 3;
+                }
+                pixels = frame.precision > 8
+                    ? new Uint16Array(frame.width * frame.height * count)
+                    : new Uint8Array(frame.width * frame.height * count);
+            } else if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                throw new Error(`Not a lossless JPEG stream (SOF marker 0xFF${marker.toString(16).toUpperCase()})`);
+            } else if (marker === 0xDD) { // DRI
+                resetInterval = (bytes[p] << 8) | bytes[p + 1];
+            } else if (marker === 0xDA) { // SOS
+                if (!frame) {
+                    throw new Error('JPEG scan found before frame header');
+                }
+                const count = bytes[p];
+                p++;
+                const scanComponents = [];
+                for (let i = 0; i < count; i++) {
+                    const index = frame.components.findIndex(c => c.id === bytes[p]);
+                    frame.components[index].table = dcTables[bytes[p + 1] >> 4];
+                    scanComponents.push(index);
+                    p += 2;
+                }
+                const predictor = bytes[p];
+                const pointTransform = bytes[p + 2] & 15;
+                p += 3;
+                offset = this.decodeLosslessScan(bytes, p, frame, scanComponents, predictor, pointTransform,
+                                                 resetInterval, pixels);
+                continue;
+            }
+
+            offset = segmentEnd;
+        }
+
+        if (!frame) {
+            throw new Error('JPEG stream has no frame header');
+        }
+
+        return {
+            width: frame.width,
+            height: frame.height,
+            bitsPerSample: frame.precision,
+            components: frame.components.length,
+            pixels
+        };
+    }
+
+    // Decode the differences of one scan and undo the prediction (ITU T.81 H.1.2)
+    decodeLosslessScan(bytes, offset, frame, scanComponents, predictor, pointTransform, resetInterval, pixels) {
+        const reader = { bytes, offset, bitBuffer: 0, bitCount: 0, markerHit: false };
+        const { width, height, precision } = frame;
+        const stride = frame.components.length;
+        const mask = (1 << precision) - 1;
+        const initialPrediction = 1 << (precision - pointTransform - 1);
+        let restartRow = 0;
+        let mcu = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (resetInterval && mcu > 0 && mcu % resetInterval === 0) {
+                    this.processRestart(reader, []);
+                    restartRow = y;
+                }
+                // The first sample after a restart is predicted like the first sample of the image
+                const restarted = resetInterval && mcu % resetInterval === 0;
+                mcu++;
+
+                for (const c of scanComponents) {
+                    const index = (y * width + x) * stride + c;
+                    const ssss = this.decodeHuffman(reader, frame.components[c].table);
+                    const diff = ssss === 16 ? 32768 : this.receiveExtend(reader, ssss);
+
+                    let prediction;
+                    if (restarted || (y === 0 && x === 0)) {
+                        prediction = initialPrediction;
+                    } else if (y === restartRow) {
+                        prediction = pixels[index - stride] >> pointTransform; // Ra
+                    } else if (x === 0) {
+                        prediction = pixels[index - width * stride] >> pointTransform; // Rb
+                    } else {
+                        const ra = pixels[index - stride] >> pointTransform;
+                        const rb = pixels[index - width * stride] >> pointTransform;
+                        const rc = pixels[index - (width + 1) * stride] >> pointTransform;
+                        prediction = this.predict(predictor, ra, rb, rc);
+                    }
+
+                    pixels[index] = ((prediction + diff) & mask) << pointTransform;
+                }
+            }
+        }
+
+        // Skip to the marker that ends the scan
+        let p = reader.offset;
+        while (p < bytes.length - 1 && !(bytes[p] === 0xFF && bytes[p + 1] !== 0x00 &&
+               !(bytes[p + 1] >= 0xD0 && bytes[p + 1] <= 0xD7))) {
+            p++;
+        }
+        return p;
+    }
+
+    // Predictors of ITU T.81 Table H.1 (1 is the DICOM "selection value 1" process)
+    predict(predictor, ra, rb, rc) {
+        switch (predictor) {
+            case 1: return ra;
+            case 2: return rb;
+            case 3: return rc;
+            case 4: return ra + rb - rc;
+            case 5: return ra + ((rb - rc) >> 1);
+            case 6: return rb + ((ra - rc) >> 1);
+            case 7: return (ra + rb) >> 1;
+            default: return 0;
+        }
+    }
+}
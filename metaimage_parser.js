@@ -0,0 +1,171 @@
+// MetaImage (ITK) reader: a text header (.mhd, or .mha with the voxels attached)
+// of "Key = Value" lines, with the voxels either after the header (LOCAL) or in a
+// separate .raw file. ITK writes Offset and TransformMatrix in LPS, so they map
+// straight onto the volume geometry.
+class MetaImageParser {
+    // options.logger: receives the header summary (console by default; anything
+    // with log and warn)
+    constructor(options = {}) {
+        this.logger = options.logger || console;
+        
+        // ElementType -> voxel type (see RawVolumeReader)
+        this.elementTypes = {
+            MET_CHAR: 'int8',
+            MET_UCHAR: 'uint8',
+            MET_SHORT: 'int16',
+            MET_USHORT: 'uint16',
+            MET_INT: 'int32',
+            MET_UINT: 'uint32',
+            MET_LONG: 'int32',
+            MET_ULONG: 'uint32',
+            MET_LONG_LONG: 'int64',
+            MET_ULONG_LONG: 'uint64',
+            MET_FLOAT: 'float32',
+            MET_DOUBLE: 'float64'
+        };
+
+        this.gzip = new Gzip();
+        this.reader = new RawVolumeReader();
+    }
+
+    // Parse a MetaImage from its header bytes. readDataFile(name) returns a promise
+    // of the ArrayBuffer of a file named by ElementDataFile.
+    async parseMetaImage(arrayBuffer, readDataFile) {
+        const bytes = new Uint8Array(arrayBuffer);
+        const header = this.readHeader(bytes);
+        this.logger.log(`MetaImage: ${header.DimSize}, ${header.ElementType}, data ${header.ElementDataFile}`);
+
+        let data;
+        if (header.ElementDataFile.toUpperCase() === 'LOCAL') {
+            data = bytes.subarray(header.dataOffset);
+        } else if (header.ElementDataFile.toUpperCase() === 'LIST' || header.ElementDataFile.includes('%')) {
+            throw new Error('MetaImage with one data file per slice (LIST or a file pattern) is not supported');
+        } else {
+            if (!readDataFile) {
+                throw new Error(`MetaImage data file ${header.ElementDataFile} was not provided`);
+            }
+            data = new Uint8Array(await readDataFile(header.ElementDataFile));
+        }
+
+        if (this.isTrue(header.CompressedData)) {
+            // MetaIO compresses with zlib, i.e. the 'deflate' stream format
+            data = await this.gzip.decompress(data, 'deflate');
+        }
+
+        return this.buildVolume(header, data);
+    }
+
+    // Header fields by key, plus dataOffset: where LOCAL voxels start. The header
+    // ends with the ElementDataFile line.
+    readHeader(bytes) {
+        const header = {};
+        let lineStart = 0;
+
+        while (lineStart < bytes.length) {
+            let lineEnd = bytes.indexOf(0x0A, lineStart);
+            if (lineEnd === -1) {
+                lineEnd = bytes.length;
+            }
+            const line = this.decodeLatin1(bytes.subarray(lineStart, lineEnd)).trim();
+            lineStart = lineEnd + 1;
+
+            const separator = line.indexOf('=');
+            if (separator === -1) {
+                if (line.length > 0) {
+                    throw new Error(`Not a MetaImage header (unexpected line "${line.slice(0, 40)}")`);
+                }
+                continue;
+            }
+
+            const key = line.slice(0, separator).trim();
+            header[key] = line.slice(separator + 1).trim();
+            if (key === 'ElementDataFile') {
+                header.dataOffset = Math.min(lineStart, bytes.length);
+                break;
+            }
+        }
+
+        if (!header.ElementDataFile) {
+            throw new Error('MetaImage header has no ElementDataFile');
+        }
+        if (!header.DimSize || !header.ElementType) {
+            throw new Error('MetaImage header needs DimSize and ElementType');
+        }
+        return header;
+    }
+
+    decodeLatin1(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    }
+
+    isTrue(value) {
+        return value !== undefined && /^(true|1)$/i.test(value);
+    }
+
+    numbers(value) {
+        return value === undefined ? null : value.split(/\s+/).filter(Boolean).map(Number);
+    }
+
+    buildVolume(header, bytes) {
+        const ndims = parseInt(header.NDims, 10) || this.numbers(header.DimSize).length;
+        if (ndims < 2 || ndims > 4) {
+            throw new Error(`Unsupported MetaImage NDims ${ndims}`);
+        }
+
+        // 2D images become a single-slice volume; a 4th dimension is read at t = 0
+        const dimSize = this.numbers(header.DimSize);
+        const dims = [0, 1, 2].map(i => (i < ndims && dimSize[i] > 0 ? dimSize[i] : 1));
+        const voxelCount = dims[0] * dims[1] * dims[2];
+
+        const typeName = this.elementTypes[header.ElementType];
+        if (!typeName) {
+            throw new Error(`Unsupported MetaImage ElementType ${header.ElementType}`);
+        }
+        const channels = parseInt(header.ElementNumberOfChannels, 10) || 1;
+        if (channels !== 1 && !(typeName === 'uint8' && (channels === 3 || channels === 4))) {
+            throw new Error(`MetaImage with ${channels} ${header.ElementType} channels is not supported`);
+        }
+
+        const littleEndian = !this.isTrue(header.BinaryDataByteOrderMSB || header.ElementByteOrderMSB);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // HeaderSize skips a header inside the data file; -1 means the voxels are
+        // the last bytes of the file
+        const dataSize = voxelCount * channels * this.reader.types[typeName].size;
+        let offset = parseInt(header.HeaderSize, 10) || 0;
+        if (offset === -1) {
+            offset = bytes.byteLength - dataSize;
+        }
+
+        const spacing = this.numbers(header.ElementSpacing || header.ElementSize) || [1, 1, 1];
+        const origin = this.numbers(header.Offset || header.Position || header.Origin) || [0, 0, 0];
+        const matrix = this.numbers(header.TransformMatrix || header.Rotation || header.Orientation);
+
+        // TransformMatrix lists the direction of each axis in turn; keep the 3D part
+        let direction = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        if (matrix && matrix.length === ndims * ndims) {
+            direction = [];
+            for (let axis = 0; axis < 3; axis++) {
+                for (let r = 0; r < 3; r++) {
+                    direction.push(axis < ndims && r < ndims ? matrix[axis * ndims + r] : (axis === r ? 1 : 0));
+                }
+            }
+        }
+
+        const data = channels > 1
+            ? this.reader.readColorVoxels(view, offset, voxelCount, channels)
+            : this.reader.readVoxels(view, offset, voxelCount, typeName, littleEndian);
+
+        return this.reader.createVolume(data, dims, {
+            spacing: [0, 1, 2].map(i => (i < ndims && spacing[i] > 0 ? spacing[i] : 1)),
+            origin: [0, 1, 2].map(i => (i < ndims && isFinite(origin[i]) ? origin[i] : 0)),
+            direction,
+            dataType: typeName,
+            components: channels > 1 ? 3 : 1
+        });
+    }
+}
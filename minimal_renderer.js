@@ -2,7 +2,7 @@
 class MinimalVolumeRenderer {
     constructor(canvas) {
         this.canvas = canvas;
-        this.gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        this.gl = VolumeTexture.getContext(canvas);
         
         if (!this.gl) {
             throw new Error('WebGL not supported');
@@ -12,9 +12,9 @@ class MinimalVolumeRenderer {
     }
     
     init() {
+        this.setupTextures();
         this.setupShaders();
         this.setupBuffers();
-        this.setupTextures();
         this.setupUniforms();
         
         // Initialize camera
@@ -28,7 +28,6 @@ class MinimalVolumeRenderer {
         this.windowLevel = 128;
         this.windowWidth = 256;
         this.volumeData = null;
-        this.volumeTexture = null;
         
         // Mouse interaction
         this.isDragging = false;
@@ -54,59 +53,20 @@ class MinimalVolumeRenderer {
             precision mediump float;
             
             varying vec2 v_texCoord;
-            uniform sampler2D u_volumeTexture;
-            uniform float u_textureWidth;
-            uniform float u_textureHeight;
-            uniform float u_slices;
             uniform float u_threshold;
             uniform float u_opacity;
             uniform float u_windowLevel;
             uniform float u_windowWidth;
-            uniform vec3 u_volumeSize;
+            uniform vec2 u_valueRange;
+            uniform vec3 u_boxSize;
+            uniform float u_isColor;
+            uniform float u_invert;
             uniform float u_zoom;
             uniform float u_rotationX;
             uniform float u_rotationY;
             
-            // Function to sample volume texture at 3D position
-            float sampleVolume(vec3 pos) {
-                // Clamp position to [0.001, 0.999] to avoid edge artifacts
-                pos = clamp(pos, 0.001, 0.999);
-                
-                // Calculate slice index and interpolation factor
-                float sliceF = pos.z * u_slices;
-                float sliceIdx = floor(sliceF);
-                float sliceFrac = fract(sliceF);
-                
-                // Calculate UV coordinates for current slice
-                vec2 uv = pos.xy;
-                
-                // Calculate texture coordinates accounting for slice layout
-                float slicesPerRow = u_textureWidth / u_volumeSize.x;
-                float row = floor(sliceIdx / slicesPerRow);
-                float col = mod(sliceIdx, slicesPerRow);
-                
-                vec2 sliceSize = vec2(u_volumeSize.x / u_textureWidth, u_volumeSize.y / u_textureHeight);
-                vec2 sliceOffset = vec2(col * u_volumeSize.x / u_textureWidth, row * u_volumeSize.y / u_textureHeight);
-                
-                uv = uv * sliceSize + sliceOffset;
-                
-                float value1 = texture2D(u_volumeTexture, uv).r;
-                
-                // Interpolate between slices if needed
-                if (sliceFrac > 0.0 && sliceIdx < u_slices - 1.0) {
-                    float nextSliceIdx = sliceIdx + 1.0;
-                    float nextRow = floor(nextSliceIdx / slicesPerRow);
-                    float nextCol = mod(nextSliceIdx, slicesPerRow);
-                    
-                    vec2 nextSliceOffset = vec2(nextCol * u_volumeSize.x / u_textureWidth, nextRow * u_volumeSize.y / u_textureHeight);
-                    vec2 nextUv = uv - sliceOffset + nextSliceOffset;
-                    
-                    float value2 = texture2D(u_volumeTexture, nextUv).r;
-                    return mix(value1, value2, sliceFrac);
-                }
-                
-                return value1;
-            }
+            // Volume sampling (trilinear on WebGL2, slice atlas on WebGL1)
+            ${this.volumeTexture.samplerSource()}
             
             void main() {
                 // If no volume loaded, show a pattern
@@ -145,13 +105,13 @@ class MinimalVolumeRenderer {
                 rayDir = rotY * rotX * rayDir;
                 
                 // Ray origin (centered in the volume)
-                vec3 rayOrigin = vec3(0.5, 0.5, 0.5);
+                vec3 rayOrigin = u_boxSize * 0.5;
                 
-                // Volume boundaries
+                // Volume boundaries, scaled to the physical aspect ratio of the volume
                 vec3 volumeMin = vec3(0.0);
-                vec3 volumeMax = vec3(1.0);
+                vec3 volumeMax = u_boxSize;
                 
-                // Simple ray-volume intersection (for unit cube)
+                // Simple ray-volume intersection (for axis-aligned box)
                 vec3 t1 = (volumeMin - rayOrigin) / rayDir;
                 vec3 t2 = (volumeMax - rayOrigin) / rayDir;
                 
@@ -183,29 +143,37 @@ class MinimalVolumeRenderer {
                     }
                     
                     // Check if we're still in the volume
-                    if (currentPosition.x < 0.0 || currentPosition.x > 1.0 ||
-                        currentPosition.y < 0.0 || currentPosition.y > 1.0 ||
-                        currentPosition.z < 0.0 || currentPosition.z > 1.0) {
+                    if (currentPosition.x < 0.0 || currentPosition.x > u_boxSize.x ||
+                        currentPosition.y < 0.0 || currentPosition.y > u_boxSize.y ||
+                        currentPosition.z < 0.0 || currentPosition.z > u_boxSize.z) {
                         break;
                     }
                     
-                    // Sample the volume at current position
-                    float density = sampleVolume(currentPosition);
+                    // Sample the volume at current position and map it back to data units (HU for CT).
+                    // Colour volumes are thresholded and windowed on their luminance.
+                    vec4 voxel = sampleVolumeTexture(currentPosition / u_boxSize);
+                    float density = u_isColor > 0.5 ? dot(voxel.rgb, vec3(0.299, 0.587, 0.114)) : voxel.r;
+                    float value = mix(u_valueRange.x, u_valueRange.y, density);
                     
                     // Apply window leveling
                     float windowMin = u_windowLevel - u_windowWidth * 0.5;
                     float windowMax = u_windowLevel + u_windowWidth * 0.5;
                     
-                    float normalizedDensity = (density - windowMin) / (windowMax - windowMin);
+                    float normalizedDensity = (value - windowMin) / (windowMax - windowMin);
                     normalizedDensity = clamp(normalizedDensity, 0.0, 1.0);
                     
+                    // MONOCHROME1 data shows low values as white
+                    if (u_invert > 0.5) {
+                        normalizedDensity = 1.0 - normalizedDensity;
+                    }
+                    
                     // Only process if above threshold
-                    if (normalizedDensity > u_threshold / 255.0) {
+                    if (value > u_threshold) {
                         // Simple coloring based on density
                         float intensity = normalizedDensity;
                         
-                        // Create a color based on intensity
-                        vec3 color = vec3(intensity);
+                        // Create a color based on intensity, or keep the voxel's own colour
+                        vec3 color = u_isColor > 0.5 ? voxel.rgb : vec3(intensity);
                         
                         // Create alpha based on density and opacity setting
                         float alpha = intensity * u_opacity;
@@ -236,7 +204,7 @@ class MinimalVolumeRenderer {
     
     createShader(type, source) {
         const shader = this.gl.createShader(type);
-        this.gl.shaderSource(shader, source);
+        this.gl.shaderSource(shader, this.volumeTexture.shaderSource(type, source));
         this.gl.compileShader(shader);
         
         if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
@@ -278,7 +246,7 @@ class MinimalVolumeRenderer {
     }
     
     setupTextures() {
-        this.volumeTexture = this.gl.createTexture();
+        this.volumeTexture = new VolumeTexture(this.gl);
     }
     
     setupUniforms() {
@@ -292,7 +260,11 @@ class MinimalVolumeRenderer {
             opacity: this.gl.getUniformLocation(this.program, 'u_opacity'),
             windowLevel: this.gl.getUniformLocation(this.program, 'u_windowLevel'),
             windowWidth: this.gl.getUniformLocation(this.program, 'u_windowWidth'),
+            valueRange: this.gl.getUniformLocation(this.program, 'u_valueRange'),
             volumeSize: this.gl.getUniformLocation(this.program, 'u_volumeSize'),
+            boxSize: this.gl.getUniformLocation(this.program, 'u_boxSize'),
+            isColor: this.gl.getUniformLocation(this.program, 'u_isColor'),
+            invert: this.gl.getUniformLocation(this.program, 'u_invert'),
             u_zoom: this.gl.getUniformLocation(this.program, 'u_zoom'),
             u_rotationX: this.gl.getUniformLocation(this.program, 'u_rotationX'),
             u_rotationY: this.gl.getUniformLocation(this.program, 'u_rotationY')
@@ -340,72 +312,46 @@ class MinimalVolumeRenderer {
     }
     
     loadVolume(volumeData) {
+        this.beginVolume(volumeData);
+        this.loadSlices(volumeData.data, 0);
+    }
+    
+    // Allocate the volume texture for a volume of the given dimensions, spacing,
+    // value range and components, empty until its slices are uploaded with
+    // loadSlices. Volumes that are still downloading are shown slice by slice this way.
+    beginVolume(volumeData) {
         this.volumeData = volumeData;
         
         const [width, height, depth] = volumeData.dimensions;
         
-        // Calculate texture layout
-        const slicesPerRow = Math.ceil(Math.sqrt(depth));
-        const rows = Math.ceil(depth / slicesPerRow);
-        
-        const texWidth = slicesPerRow * width;
-        const texHeight = rows * height;
+        // Physical extent of the volume (voxel count * spacing), largest axis scaled to 1
+        const spacing = volumeData.spacing || [1, 1, 1];
+        const extent = [width * spacing[0], height * spacing[1], depth * spacing[2]];
+        const maxExtent = Math.max(...extent);
         
-        // Create texture data
-        const textureData = new Uint8Array(texWidth * texHeight);
+        // The texture holds 8-bit values spread over the volume's data range
+        const [minValue, maxValue] = volumeData.range || [0, 255];
         
-        // Fill texture data
-        for (let z = 0; z < depth; z++) {
-            const sliceRow = Math.floor(z / slicesPerRow);
-            const sliceCol = z % slicesPerRow;
-            
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const volumeIdx = z * width * height + y * width + x;
-                    const texX = sliceCol * width + x;
-                    const texY = sliceRow * height + y;
-                    const texIdx = texY * texWidth + texX;
-                    
-                    textureData[texIdx] = Math.max(0, Math.min(255, Math.round(volumeData.data[volumeIdx])));
-                }
-            }
-        }
-        
-        // Ensure we have a valid texture
-        if (!this.volumeTexture) {
-            this.volumeTexture = this.gl.createTexture();
-        }
-        
-        // Upload texture - bind texture before setting parameters
-        this.gl.bindTexture(this.gl.TEXTURE_2D, this.volumeTexture);
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
-        
-        this.gl.texImage2D(
-            this.gl.TEXTURE_2D,
-            0,
-            this.gl.LUMINANCE,
-            texWidth,
-            texHeight,
-            0,
-            this.gl.LUMINANCE,
-            this.gl.UNSIGNED_BYTE,
-            textureData
-        );
-        
-        // Unbind texture after uploading
-        this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+        // RGB volumes hold three interleaved 8-bit samples per voxel
+        const components = volumeData.components === 3 ? 3 : 1;
         
         this.textureLayout = {
-            width: texWidth,
-            height: texHeight,
-            slices: depth,
-            volumeSize: [width, height, depth]
+            ...this.volumeTexture.allocate(volumeData.dimensions, components),
+            boxSize: extent.map(e => e / maxExtent),
+            valueRange: [minValue, maxValue],
+            isColor: components === 3,
+            inverted: !!volumeData.inverted
         };
     }
     
+    // Upload whole slices into the volume texture: data holds consecutive slices of
+    // the volume begun with beginVolume, starting at firstSlice
+    loadSlices(data, firstSlice) {
+        const [minValue, maxValue] = this.textureLayout.valueRange;
+        const scale = 255 / (maxValue - minValue || 1);
+        this.volumeTexture.uploadSlices(data, firstSlice, value => (value - minValue) * scale);
+    }
+    
     setThreshold(value) {
         this.threshold = value;
     }
@@ -437,24 +383,23 @@ class MinimalVolumeRenderer {
         this.gl.vertexAttribPointer(positionAttributeLocation, 2, this.gl.FLOAT, false, 0, 0);
         
         // Set texture and uniforms
-        if (this.volumeTexture && this.textureLayout) {
-            this.gl.activeTexture(this.gl.TEXTURE0);
-            this.gl.bindTexture(this.gl.TEXTURE_2D, this.volumeTexture);
-            this.gl.uniform1i(this.uniformLocations.volumeTexture, 0);
-            
-            this.gl.uniform1f(this.uniformLocations.textureWidth, this.textureLayout.width);
-            this.gl.uniform1f(this.uniformLocations.textureHeight, this.textureLayout.height);
-            this.gl.uniform1f(this.uniformLocations.slices, this.textureLayout.slices);
-            this.gl.uniform3f(this.uniformLocations.volumeSize,
-                             this.textureLayout.volumeSize[0],
-                             this.textureLayout.volumeSize[1],
-                             this.textureLayout.volumeSize[2]);
+        this.volumeTexture.bind(0, this.uniformLocations);
+        if (this.textureLayout) {
+            this.gl.uniform3f(this.uniformLocations.boxSize,
+                             this.textureLayout.boxSize[0],
+                             this.textureLayout.boxSize[1],
+                             this.textureLayout.boxSize[2]);
+            this.gl.uniform2f(this.uniformLocations.valueRange,
+                             this.textureLayout.valueRange[0],
+                             this.textureLayout.valueRange[1]);
+            this.gl.uniform1f(this.uniformLocations.isColor, this.textureLayout.isColor ? 1 : 0);
+            this.gl.uniform1f(this.uniformLocations.invert, this.textureLayout.inverted ? 1 : 0);
         } else {
             // Default values when no volume loaded
-            this.gl.uniform1f(this.uniformLocations.slices, 0);
-            this.gl.uniform1f(this.uniformLocations.textureWidth, 1);
-            this.gl.uniform1f(this.uniformLocations.textureHeight, 1);
-            this.gl.uniform3f(this.uniformLocations.volumeSize, 1, 1, 1);
+            this.gl.uniform3f(this.uniformLocations.boxSize, 1, 1, 1);
+            this.gl.uniform2f(this.uniformLocations.valueRange, 0, 255);
+            this.gl.uniform1f(this.uniformLocations.isColor, 0);
+            this.gl.uniform1f(this.uniformLocations.invert, 0);
         }
         
         this.gl.uniform1f(this.uniformLocations.threshold, this.threshold);
@@ -467,6 +412,30 @@ class MinimalVolumeRenderer {
         
         this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
     }
+
+    // The current view as RGB pixels, rows top to bottom. The drawing buffer is
+    // not preserved between frames, so the view is rendered and read at once.
+    captureImage() {
+        const gl = this.gl;
+        const width = gl.drawingBufferWidth;
+        const height = gl.drawingBufferHeight;
+        this.render();
+
+        const rgba = new Uint8Array(width * height * 4);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, rgba);
+
+        // WebGL rows run bottom to top
+        const data = new Uint8Array(width * height * 3);
+        for (let y = 0; y < height; y++) {
+            const source = (height - 1 - y) * width * 4;
+            for (let x = 0; x < width; x++) {
+                data[(y * width + x) * 3] = rgba[source + x * 4];
+                data[(y * width + x) * 3 + 1] = rgba[source + x * 4 + 1];
+                data[(y * width + x) * 3 + 2] = rgba[source + x * 4 + 2];
+            }
+        }
+        return { width, height, data };
+    }
 }
 
 // Animation loop
@@ -0,0 +1,293 @@
+// NIfTI-1 / NIfTI-2 reader for single-file volumes (.nii, .nii.gz). Produces the
+// same volume object as DicomParser.buildVolume, with the qform/sform orientation
+// converted to DICOM patient coordinates (LPS) in the affine.
+class NiftiParser {
+    // options.logger: where the header is summarised (console by default;
+    // anything with log and warn)
+    constructor(options = {}) {
+        this.logger = options.logger || console;
+        
+        // NIfTI datatype codes -> voxel type (see RawVolumeReader) and bytes per value
+        this.datatypes = {
+            2: { name: 'uint8', size: 1 },
+            4: { name: 'int16', size: 2 },
+            8: { name: 'int32', size: 4 },
+            16: { name: 'float32', size: 4 },
+            64: { name: 'float64', size: 8 },
+            128: { name: 'rgb24', size: 3, components: 3 },
+            256: { name: 'int8', size: 1 },
+            512: { name: 'uint16', size: 2 },
+            768: { name: 'uint32', size: 4 },
+            1024: { name: 'int64', size: 8 },
+            1280: { name: 'uint64', size: 8 },
+            2304: { name: 'rgba32', size: 4, components: 4 }
+        };
+
+        // Complex and 128-bit types, named for error messages
+        this.unsupportedDatatypes = { 32: 'complex64', 1536: 'float128', 1792: 'complex128', 2048: 'complex256' };
+
+        this.gzip = new Gzip();
+        this.reader = new RawVolumeReader();
+    }
+
+    // Parse a .nii or .nii.gz file into a volume
+    async parseNifti(arrayBuffer) {
+        let bytes = new Uint8Array(arrayBuffer);
+        if (this.gzip.isGzip(bytes)) {
+            bytes = await this.gzip.decompress(bytes);
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const header = this.readHeader(view);
+        this.logger.log(`NIfTI-${header.version}: ${header.dim.slice(1, header.dim[0] + 1).join(' x ')}, ` +
+                    `datatype ${header.datatype}, vox_offset ${header.voxOffset}`);
+
+        return this.buildVolume(view, header);
+    }
+
+    // Read the NIfTI-1 (348 byte) or NIfTI-2 (540 byte) header in either byte order
+    readHeader(view) {
+        if (view.byteLength < 348) {
+            throw new Error('File is too small to be a NIfTI image');
+        }
+
+        let littleEndian;
+        let version;
+        for (const candidate of [true, false]) {
+            const size = view.getInt32(0, candidate);
+            if (size === 348 || size === 540) {
+                littleEndian = candidate;
+                version = size === 348 ? 1 : 2;
+            }
+        }
+        if (!version) {
+            throw new Error('Not a NIfTI file (sizeof_hdr is neither 348 nor 540)');
+        }
+
+        const header = version === 1
+            ? this.readNifti1Header(view, littleEndian)
+            : this.readNifti2Header(view, littleEndian);
+        header.version = version;
+        header.littleEndian = littleEndian;
+
+        // 'ni1'/'ni2' headers keep the voxels in a separate .img file
+        if (header.magic.startsWith('ni')) {
+            throw new Error('Two-file NIfTI (.hdr/.img) is not supported; convert it to a single .nii file');
+        }
+        if (!header.magic.startsWith('n+')) {
+            throw new Error(`Not a NIfTI file (magic "${header.magic}")`);
+        }
+
+        return header;
+    }
+
+    readNifti1Header(view, littleEndian) {
+        const int16 = offset => view.getInt16(offset, littleEndian);
+        const float32 = offset => view.getFloat32(offset, littleEndian);
+
+        return {
+            dim: Array.from({ length: 8 }, (_, i) => int16(40 + i * 2)),
+            datatype: int16(70),
+            bitpix: int16(72),
+            pixdim: Array.from({ length: 8 }, (_, i) => float32(76 + i * 4)),
+            voxOffset: float32(108),
+            sclSlope: float32(112),
+            sclInter: float32(116),
+            calMax: float32(124),
+            calMin: float32(128),
+            qformCode: int16(252),
+            sformCode: int16(254),
+            quatern: [float32(256), float32(260), float32(264)],
+            qoffset: [float32(268), float32(272), float32(276)],
+            srow: [0, 1, 2].map(r => Array.from({ length: 4 }, (_, i) => float32(280 + r * 16 + i * 4))),
+            magic: this.readMagic(view, 344)
+        };
+    }
+
+    readNifti2Header(view, littleEndian) {
+        if (view.byteLength < 540) {
+            throw new Error('File is too small to be a NIfTI-2 image');
+        }
+        const int16 = offset => view.getInt16(offset, littleEndian);
+        const int32 = offset => view.getInt32(offset, littleEndian);
+        const int64 = offset => Number(view.getBigInt64(offset, littleEndian));
+        const float64 = offset => view.getFloat64(offset, littleEndian);
+
+        return {
+            dim: Array.from({ length: 8 }, (_, i) => int64(16 + i * 8)),
+            datatype: int16(12),
+            bitpix: int16(14),
+            pixdim: Array.from({ length: 8 }, (_, i) => float64(104 + i * 8)),
+            voxOffset: int64(168),
+            sclSlope: float64(176),
+            sclInter: float64(184),
+            calMax: float64(192),
+            calMin: float64(200),
+            qformCode: int32(344),
+            sformCode: int32(348),
+            quatern: [float64(352), float64(360), float64(368)],
+            qoffset: [float64(376), float64(384), float64(392)],
+            srow: [0, 1, 2].map(r => Array.from({ length: 4 }, (_, i) => float64(400 + r * 32 + i * 8))),
+            magic: this.readMagic(view, 4)
+        };
+    }
+
+    readMagic(view, offset) {
+        let magic = '';
+        for (let i = 0; i < 3; i++) {
+            magic += String.fromCharCode(view.getUint8(offset + i));
+        }
+        return magic;
+    }
+
+    // Read the first 3D volume (t = 0 of 4D series), apply scl_slope/scl_inter and
+    // attach the geometry
+    buildVolume(view, header) {
+        const layout = this.voxelLayout(header);
+        const { datatype, dims, offset, voxelCount } = layout;
+        if (offset + layout.byteLength > view.byteLength) {
+            throw new Error(`NIfTI voxel data is truncated (${view.byteLength - offset} bytes for ` +
+                            `${voxelCount} ${datatype.name} voxels)`);
+        }
+
+        const geometry = this.computeGeometry(header, dims);
+
+        if (datatype.components) {
+            return {
+                data: this.reader.readColorVoxels(view, offset, voxelCount, datatype.components),
+                dimensions: dims,
+                components: 3,
+                ...geometry,
+                range: [0, 255],
+                dataType: datatype.name,
+                rescale: { slope: 1, intercept: 0 },
+                window: null
+            };
+        }
+
+        const { slope, intercept } = this.scaling(header);
+        const data = this.readSlices(view, header, 0, dims[2]);
+        const [minValue, maxValue] = this.reader.valueRange(data);
+
+        // The display range stored in the header, if any, becomes the initial window
+        const displayWindow = header.calMax > header.calMin
+            ? { center: (header.calMax + header.calMin) / 2, width: header.calMax - header.calMin }
+            : { center: (maxValue + minValue) / 2, width: Math.max(1, maxValue - minValue) };
+
+        return {
+            data,
+            dimensions: dims,
+            ...geometry,
+            range: [minValue, maxValue],
+            dataType: datatype.name,
+            rescale: { slope, intercept },
+            window: displayWindow
+        };
+    }
+
+    // Where the first 3D volume's voxels are: its datatype, dimensions, byte offset
+    // and size, and the bytes per slice
+    voxelLayout(header) {
+        const datatype = this.datatypes[header.datatype];
+        if (!datatype) {
+            const name = this.unsupportedDatatypes[header.datatype];
+            throw new Error(`Unsupported NIfTI datatype ${header.datatype}${name ? ` (${name})` : ''}`);
+        }
+
+        const dims = [1, 2, 3].map(i => (i <= header.dim[0] && header.dim[i] > 0 ? header.dim[i] : 1));
+        const voxelCount = dims[0] * dims[1] * dims[2];
+        return {
+            datatype,
+            dims,
+            voxelCount,
+            offset: Math.max(Math.round(header.voxOffset), header.version === 1 ? 352 : 544),
+            byteLength: voxelCount * datatype.size,
+            sliceByteLength: dims[0] * dims[1] * datatype.size
+        };
+    }
+
+    // A zero slope means "no scaling"; so does the identity
+    scaling(header) {
+        const slope = header.sclSlope && isFinite(header.sclSlope) ? header.sclSlope : 1;
+        const intercept = header.sclSlope && isFinite(header.sclInter) ? header.sclInter : 0;
+        return { slope, intercept };
+    }
+
+    // Values of sliceCount consecutive slices with scl_slope/scl_inter applied (RGB
+    // for colour datatypes). Also used for the slices of a file still downloading.
+    readSlices(view, header, firstSlice, sliceCount) {
+        const { datatype, dims, offset, sliceByteLength } = this.voxelLayout(header);
+        const start = offset + firstSlice * sliceByteLength;
+        const voxelCount = dims[0] * dims[1] * sliceCount;
+
+        if (datatype.components) {
+            return this.reader.readColorVoxels(view, start, voxelCount, datatype.components);
+        }
+
+        const data = this.reader.readVoxels(view, start, voxelCount, datatype.name, header.littleEndian);
+        const { slope, intercept } = this.scaling(header);
+        if (slope === 1 && intercept === 0) {
+            return data;
+        }
+        const scaled = new Float32Array(voxelCount);
+        for (let i = 0; i < voxelCount; i++) {
+            scaled[i] = data[i] * slope + intercept;
+        }
+        return scaled;
+    }
+
+    // Voxel -> world matrix from the sform, else the qform, else the voxel sizes
+    // alone (NIfTI methods 3, 2 and 1). NIfTI world space is RAS+; DICOM patient
+    // space is LPS+, so the x and y rows are negated.
+    computeGeometry(header, dims) {
+        const pixdim = [1, 2, 3].map(i => Math.abs(header.pixdim[i]) || 1);
+        let rows;
+
+        if (header.sformCode > 0) {
+            rows = header.srow.map(row => row.slice());
+        } else if (header.qformCode > 0) {
+            const [b, c, d] = header.quatern;
+            const a = Math.sqrt(Math.max(0, 1 - (b * b + c * c + d * d)));
+            const qfac = header.pixdim[0] < 0 ? -1 : 1;
+            const rotation = [
+                [a * a + b * b - c * c - d * d, 2 * (b * c - a * d), 2 * (b * d + a * c)],
+                [2 * (b * c + a * d), a * a + c * c - b * b - d * d, 2 * (c * d - a * b)],
+                [2 * (b * d - a * c), 2 * (c * d + a * b), a * a + d * d - b * b - c * c]
+            ];
+            rows = rotation.map((row, r) => [
+                row[0] * pixdim[0],
+                row[1] * pixdim[1],
+                row[2] * pixdim[2] * qfac,
+                header.qoffset[r]
+            ]);
+        } else {
+            rows = [
+                [pixdim[0], 0, 0, 0],
+                [0, pixdim[1], 0, 0],
+                [0, 0, pixdim[2], 0]
+            ];
+        }
+
+        // RAS -> LPS
+        rows[0] = rows[0].map(v => -v);
+        rows[1] = rows[1].map(v => -v);
+
+        const spacing = [0, 1, 2].map(axis => {
+            const length = Math.hypot(rows[0][axis], rows[1][axis], rows[2][axis]);
+            return length > 0 ? length : pixdim[axis];
+        });
+        const direction = [];
+        for (let axis = 0; axis < 3; axis++) {
+            for (let r = 0; r < 3; r++) {
+                direction.push(rows[r][axis] / spacing[axis]);
+            }
+        }
+
+        return {
+            spacing,
+            origin: [rows[0][3], rows[1][3], rows[2][3]],
+            direction,
+            affine: [...rows[0], ...rows[1], ...rows[2], 0, 0, 0, 1]
+        };
+    }
+}
@@ -0,0 +1,160 @@
+// Writes a volume (as produced by DicomParser.buildVolume or the file readers) to a
+// single-file NIfTI-1 image, gzip compressed for .nii.gz. The LPS affine becomes
+// both the sform and the qform in NIfTI's RAS+ world space.
+class NiftiWriter {
+    constructor() {
+        // Typed array of the voxels -> NIfTI datatype code and bits per voxel
+        this.datatypes = [
+            { type: Uint8Array, code: 2, bitpix: 8 },
+            { type: Int16Array, code: 4, bitpix: 16 },
+            { type: Int32Array, code: 8, bitpix: 32 },
+            { type: Float32Array, code: 16, bitpix: 32 },
+            { type: Float64Array, code: 64, bitpix: 64 },
+            { type: Int8Array, code: 256, bitpix: 8 },
+            { type: Uint16Array, code: 512, bitpix: 16 },
+            { type: Uint32Array, code: 768, bitpix: 32 }
+        ];
+
+        this.gzip = new Gzip();
+    }
+
+    // .nii.gz bytes of a volume
+    async writeNiftiGz(volume) {
+        return this.gzip.compress(this.writeNiftiParts(volume));
+    }
+
+    // Uncompressed .nii bytes of a volume
+    writeNifti(volume) {
+        const [header, data] = this.writeNiftiParts(volume);
+        const bytes = new Uint8Array(header.byteLength + data.byteLength);
+        bytes.set(header, 0);
+        bytes.set(data, header.byteLength);
+        return bytes;
+    }
+
+    // [header with the empty extension block, voxel bytes]. The voxels are written
+    // in the platform's byte order (little endian on every browser platform), so
+    // the volume's own buffer is used without copying.
+    writeNiftiParts(volume) {
+        const isColor = volume.components === 3;
+        const datatype = isColor
+            ? { code: 128, bitpix: 24 }
+            : this.datatypes.find(candidate => volume.data instanceof candidate.type);
+        if (!datatype) {
+            throw new Error(`Cannot write ${volume.data.constructor.name} voxels to NIfTI`);
+        }
+
+        const header = new ArrayBuffer(352);
+        const view = new DataView(header);
+        const int16 = (offset, value) => view.setInt16(offset, value, true);
+        const float32 = (offset, value) => view.setFloat32(offset, value, true);
+
+        view.setInt32(0, 348, true);
+        int16(40, 3);
+        volume.dimensions.forEach((size, i) => int16(42 + i * 2, size));
+        for (let i = 4; i < 8; i++) {
+            int16(40 + i * 2, 1);
+        }
+        int16(70, datatype.code);
+        int16(72, datatype.bitpix);
+
+        const rows = this.rasRows(volume);
+        const { quatern, qoffset, qfac } = this.quaternion(rows);
+        float32(76, qfac);
+        volume.spacing.forEach((size, i) => float32(80 + i * 4, size));
+        float32(108, 352);          // vox_offset
+        float32(112, 1);            // scl_slope: values are stored as they are
+        float32(116, 0);
+        view.setUint8(123, 2);      // xyzt_units: millimetres
+
+        // The display window travels as cal_min/cal_max
+        if (volume.window && !isColor) {
+            float32(124, volume.window.center + volume.window.width / 2);
+            float32(128, volume.window.center - volume.window.width / 2);
+        }
+
+        const description = '3D CT Viewer export';
+        for (let i = 0; i < description.length; i++) {
+            view.setUint8(148 + i, description.charCodeAt(i));
+        }
+
+        int16(252, 1);              // qform_code: scanner anatomical
+        int16(254, 1);              // sform_code
+        quatern.forEach((value, i) => float32(256 + i * 4, value));
+        qoffset.forEach((value, i) => float32(268 + i * 4, value));
+        rows.forEach((row, r) => row.forEach((value, i) => float32(280 + r * 16 + i * 4, value)));
+        [0x6E, 0x2B, 0x31, 0x00].forEach((byte, i) => view.setUint8(344 + i, byte));
+
+        const data = volume.data;
+        return [new Uint8Array(header), new Uint8Array(data.buffer, data.byteOffset, data.byteLength)];
+    }
+
+    // Rows of the voxel -> world matrix in RAS+ (x and y of LPS negated)
+    rasRows(volume) {
+        const affine = volume.affine || new RawVolumeReader().geometry(volume.spacing, volume.origin, volume.direction).affine;
+        return [0, 1, 2].map(r => {
+            const row = affine.slice(r * 4, r * 4 + 4);
+            return r < 2 ? row.map(value => -value) : row;
+        });
+    }
+
+    // Quaternion of the rotation part of the matrix (the NIfTI-1 reference
+    // algorithm). A left-handed grid flips the third axis and sets qfac to -1.
+    quaternion(rows) {
+        const columns = [0, 1, 2].map(axis => {
+            const column = [rows[0][axis], rows[1][axis], rows[2][axis]];
+            const length = Math.hypot(...column) || 1;
+            return column.map(value => value / length);
+        });
+        const [[r11, r21, r31], [r12, r22, r32], [r13, r23, r33]] = columns;
+
+        const determinant = r11 * (r22 * r33 - r32 * r23) - r12 * (r21 * r33 - r31 * r23) + r13 * (r21 * r32 - r31 * r22);
+        const qfac = determinant < 0 ? -1 : 1;
+        const m13 = r13 * qfac;
+        const m23 = r23 * qfac;
+        const m33 = r33 * qfac;
+
+        let a = r11 + r22 + m33 + 1;
+        let b;
+        let c;
+        let d;
+        if (a > 0.5) {
+            a = 0.5 * Math.sqrt(a);
+            b = 0.25 * (r32 - m23) / a;
+            c = 0.25 * (m13 - r31) / a;
+            d = 0.25 * (r21 - r12) / a;
+        } else {
+            const xd = 1 + r11 - (r22 + m33);
+            const yd = 1 + r22 - (r11 + m33);
+            const zd = 1 + m33 - (r11 + r22);
+            if (xd > 1) {
+                b = 0.5 * Math.sqrt(xd);
+                c = 0.25 * (r12 + r21) / b;
+                d = 0.25 * (m13 + r31) / b;
+                a = 0.25 * (r32 - m23) / b;
+            } else if (yd > 1) {
+                c = 0.5 * Math.sqrt(yd);
+                b = 0.25 * (r12 + r21) / c;
+                d = 0.25 * (m23 + r32) / c;
+                a = 0.25 * (m13 - r31) / c;
+            } else {
+                d = 0.5 * Math.sqrt(zd);
+                b = 0.25 * (m13 + r31) / d;
+                c = 0.25 * (m23 + r32) / d;
+                a = 0.25 * (r21 - r12) / d;
+            }
+            // Keep a >= 0: the header stores only b, c and d
+            if (a < 0) {
+                b = -b;
+                c = -c;
+                d = -d;
+            }
+        }
+
+        return {
+            quatern: [b, c, d],
+            qoffset: [rows[0][3], rows[1][3], rows[2][3]],
+            qfac
+        };
+    }
+}
@@ -0,0 +1,294 @@
+// NRRD reader: a "NRRD000X" text header of "field: value" lines, followed by the
+// data after a blank line (.nrrd) or pointing to a separate data file (.nhdr).
+// Supports raw, gzip and ascii encodings; space directions and space origin are
+// converted to DICOM patient coordinates (LPS).
+class NrrdParser {
+    // options.logger: where the header summary and warnings about unsupported
+    // spaces go (console by default; anything with log and warn)
+    constructor(options = {}) {
+        this.logger = options.logger || console;
+        
+        // NRRD type names (after lowercasing and dropping "signed"/"int" noise
+        // words, see normalizeType) -> voxel type (see RawVolumeReader)
+        this.types = {
+            'char': 'int8', 'int8': 'int8', 'int8_t': 'int8',
+            'uchar': 'uint8', 'unsigned char': 'uint8', 'uint8': 'uint8', 'uint8_t': 'uint8',
+            'short': 'int16', 'int16': 'int16', 'int16_t': 'int16',
+            'ushort': 'uint16', 'unsigned short': 'uint16', 'uint16': 'uint16', 'uint16_t': 'uint16',
+            'int': 'int32', 'int32': 'int32', 'int32_t': 'int32',
+            'uint': 'uint32', 'unsigned': 'uint32', 'uint32': 'uint32', 'uint32_t': 'uint32',
+            'longlong': 'int64', 'long long': 'int64', 'int64': 'int64', 'int64_t': 'int64',
+            'ulonglong': 'uint64', 'unsigned long long': 'uint64', 'uint64': 'uint64', 'uint64_t': 'uint64',
+            'float': 'float32',
+            'double': 'float64'
+        };
+
+        // Sign of each anatomical word relative to LPS (+x left, +y posterior, +z superior)
+        this.spaces = {
+            'left-posterior-superior': [1, 1, 1],
+            'right-anterior-superior': [-1, -1, 1],
+            'left-anterior-superior': [1, -1, 1],
+            'lps': [1, 1, 1],
+            'ras': [-1, -1, 1],
+            'las': [1, -1, 1],
+            'scanner-xyz': [1, 1, 1],
+            '3d-right-handed': [1, 1, 1]
+        };
+
+        this.gzip = new Gzip();
+        this.reader = new RawVolumeReader();
+    }
+
+    // Parse an .nrrd or .nhdr file. readDataFile(name) returns a promise of the
+    // ArrayBuffer of a detached data file.
+    async parseNrrd(arrayBuffer, readDataFile) {
+        const bytes = new Uint8Array(arrayBuffer);
+        const header = this.readHeader(bytes);
+        this.logger.log(`NRRD: ${header.sizes.join(' x ')} ${header.type}, encoding ${header.encoding}` +
+                    `${header.dataFile ? `, data file ${header.dataFile}` : ''}`);
+
+        let data;
+        if (header.dataFile) {
+            if (header.dataFile === 'LIST' || header.dataFile.includes(' ')) {
+                throw new Error('NRRD with several data files (LIST or a file pattern) is not supported');
+            }
+            if (!readDataFile) {
+                throw new Error(`NRRD data file ${header.dataFile} was not provided`);
+            }
+            data = new Uint8Array(await readDataFile(header.dataFile));
+        } else {
+            data = bytes.subarray(header.dataOffset);
+        }
+
+        // Line skip applies before decoding, byte skip to the decoded data
+        data = this.skipLines(data, header.lineSkip);
+        const encoding = header.encoding;
+        if (encoding === 'gzip' || encoding === 'gz') {
+            data = await this.gzip.decompress(data);
+        } else if (encoding !== 'raw' && encoding !== 'ascii' && encoding !== 'text' && encoding !== 'txt') {
+            throw new Error(`Unsupported NRRD encoding ${encoding}`);
+        }
+
+        return this.buildVolume(header, data);
+    }
+
+    // Header fields (lowercase names) plus dataOffset: where attached data starts
+    readHeader(bytes) {
+        const header = { fields: {}, keyValues: {} };
+        let lineStart = 0;
+        let first = true;
+
+        while (lineStart < bytes.length) {
+            let lineEnd = bytes.indexOf(0x0A, lineStart);
+            if (lineEnd === -1) {
+                lineEnd = bytes.length;
+            }
+            const line = this.decodeLatin1(bytes.subarray(lineStart, lineEnd)).replace(/\r$/, '');
+            lineStart = lineEnd + 1;
+
+            if (first) {
+                if (!/^NRRD000\d/.test(line)) {
+                    throw new Error('Not an NRRD file (no NRRD000X magic)');
+                }
+                first = false;
+                continue;
+            }
+            // A blank line ends the header
+            if (line.length === 0) {
+                break;
+            }
+            if (line.startsWith('#')) {
+                continue;
+            }
+
+            // "key:=value" lines are free-form metadata
+            const keyValue = line.indexOf(':=');
+            if (keyValue !== -1) {
+                header.keyValues[line.slice(0, keyValue)] = line.slice(keyValue + 2);
+                continue;
+            }
+            const separator = line.indexOf(': ');
+            if (separator === -1) {
+                throw new Error(`Malformed NRRD header line "${line.slice(0, 40)}"`);
+            }
+            header.fields[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 2).trim();
+        }
+        header.dataOffset = Math.min(lineStart, bytes.length);
+
+        const fields = header.fields;
+        if (!fields.type || !fields.dimension || !fields.sizes || !fields.encoding) {
+            throw new Error('NRRD header needs type, dimension, sizes and encoding');
+        }
+
+        header.type = fields.type;
+        header.dimension = parseInt(fields.dimension, 10);
+        header.sizes = fields.sizes.split(/\s+/).map(Number);
+        header.encoding = fields.encoding.toLowerCase();
+        header.littleEndian = (fields.endian || 'little').toLowerCase() !== 'big';
+        header.dataFile = fields['data file'] || fields.datafile || null;
+        header.lineSkip = parseInt(fields['line skip'] || fields.lineskip, 10) || 0;
+        header.byteSkip = parseInt(fields['byte skip'] || fields.byteskip, 10) || 0;
+        return header;
+    }
+
+    decodeLatin1(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    }
+
+    normalizeType(type) {
+        return type.toLowerCase()
+            .replace(/\bsigned\s+/, '')
+            .replace(/\s+int$/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    skipLines(bytes, lineSkip) {
+        let offset = 0;
+        for (let line = 0; line < lineSkip; line++) {
+            const lineEnd = bytes.indexOf(0x0A, offset);
+            if (lineEnd === -1) {
+                throw new Error(`NRRD line skip ${lineSkip} runs past the end of the data`);
+            }
+            offset = lineEnd + 1;
+        }
+        return offset > 0 ? bytes.subarray(offset) : bytes;
+    }
+
+    // Vectors like "(1,0,0) (0,1,0) none"; "none" for non-spatial axes
+    parseVectors(value) {
+        return value.trim().split(/\s+(?=\(|none)/).map(part =>
+            part === 'none' ? null : part.replace(/[()]/g, '').split(',').map(Number));
+    }
+
+    buildVolume(header, bytes) {
+        const typeName = this.types[this.normalizeType(header.type)];
+        if (!typeName) {
+            throw new Error(`Unsupported NRRD type ${header.type}`);
+        }
+        const fields = header.fields;
+        const kinds = fields.kinds ? fields.kinds.split(/\s+/) : [];
+
+        // A leading colour axis (kind RGB-Color/RGBA-Color, or a 3/4 long non-spatial
+        // axis of uchar) makes a colour volume; the remaining axes are spatial
+        let axes = header.sizes.map((size, index) => ({ size, index }));
+        let channels = 1;
+        const directions = fields['space directions'] ? this.parseVectors(fields['space directions']) : null;
+        const firstIsSpatial = directions ? directions[0] !== null : !/color|vector|list/i.test(kinds[0] || '');
+        if (header.dimension > 2 && !firstIsSpatial) {
+            channels = header.sizes[0];
+            axes = axes.slice(1);
+            if (typeName !== 'uint8' || (channels !== 3 && channels !== 4)) {
+                throw new Error(`NRRD with ${channels} ${header.type} values per voxel is not supported`);
+            }
+        }
+        if (axes.length < 2 || axes.length > 4) {
+            throw new Error(`Unsupported NRRD dimension ${header.dimension}`);
+        }
+
+        // 2D images become a single-slice volume; a 4th axis is read at index 0
+        const dims = [0, 1, 2].map(i => (i < axes.length ? axes[i].size : 1));
+        const voxelCount = dims[0] * dims[1] * dims[2];
+        const geometry = this.computeGeometry(header, axes, directions);
+
+        let data;
+        const encoding = header.encoding;
+        if (encoding === 'ascii' || encoding === 'text' || encoding === 'txt') {
+            data = this.readAsciiVoxels(bytes, voxelCount * channels, typeName);
+            if (channels > 1) {
+                data = this.reader.readColorVoxels(new DataView(data.buffer), 0, voxelCount, channels);
+            }
+        } else {
+            // Byte skip -1 means the data are the last bytes of the (decoded) file
+            const dataSize = voxelCount * channels * this.reader.types[typeName].size;
+            let offset = header.byteSkip;
+            if (offset === -1) {
+                offset = bytes.byteLength - dataSize;
+            }
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            data = channels > 1
+                ? this.reader.readColorVoxels(view, offset, voxelCount, channels)
+                : this.reader.readVoxels(view, offset, voxelCount, typeName, header.littleEndian);
+        }
+
+        return this.reader.createVolume(data, dims, {
+            ...geometry,
+            dataType: typeName,
+            components: channels > 1 ? 3 : 1,
+            window: this.storedWindow(header)
+        });
+    }
+
+    // The display window NrrdWriter stores in "window center:=" / "window width:="
+    // key-value pairs, or null
+    storedWindow(header) {
+        const center = parseFloat(header.keyValues['window center']);
+        const width = parseFloat(header.keyValues['window width']);
+        return Number.isFinite(center) && width > 0 ? { center, width } : null;
+    }
+
+    readAsciiVoxels(bytes, valueCount, typeName) {
+        const values = this.decodeLatin1(bytes).split(/[\s,]+/).filter(Boolean);
+        if (values.length < valueCount) {
+            throw new Error(`NRRD ascii data holds ${values.length} values, expected ${valueCount}`);
+        }
+        const is64Bit = typeName === 'int64' || typeName === 'uint64';
+        const data = new (is64Bit ? Float64Array : this.reader.types[typeName].type)(valueCount);
+        for (let i = 0; i < valueCount; i++) {
+            data[i] = Number(values[i]);
+        }
+        return data;
+    }
+
+    // Spacing, origin and directions of the spatial axes. Space directions carry
+    // both the direction and the voxel size; without them "spacings" gives the size
+    // along an axis-aligned grid.
+    computeGeometry(header, axes, directions) {
+        const fields = header.fields;
+        const space = (fields.space || '').toLowerCase();
+        const signs = this.spaces[space] || [1, 1, 1];
+        if (space && !this.spaces[space]) {
+            this.logger.warn(`NRRD space "${fields.space}" treated as LPS`);
+        }
+
+        const spacing = [1, 1, 1];
+        const direction = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        let origin = [0, 0, 0];
+
+        if (directions) {
+            axes.slice(0, 3).forEach((axis, i) => {
+                const vector = directions[axis.index];
+                if (!vector) {
+                    return;
+                }
+                const lps = [0, 1, 2].map(r => (vector[r] || 0) * signs[r]);
+                const length = Math.hypot(...lps);
+                if (length > 0) {
+                    spacing[i] = length;
+                    for (let r = 0; r < 3; r++) {
+                        direction[i * 3 + r] = lps[r] / length;
+                    }
+                }
+            });
+        } else if (fields.spacings) {
+            const spacings = fields.spacings.split(/\s+/).map(Number);
+            axes.slice(0, 3).forEach((axis, i) => {
+                const value = Math.abs(spacings[axis.index]);
+                if (value > 0 && isFinite(value)) {
+                    spacing[i] = value;
+                }
+            });
+        }
+
+        if (fields['space origin']) {
+            const vector = this.parseVectors(fields['space origin'])[0] || [];
+            origin = [0, 1, 2].map(r => (isFinite(vector[r]) ? vector[r] * signs[r] : 0));
+        }
+
+        return { spacing, origin, direction };
+    }
+}
@@ -0,0 +1,66 @@
+// Writes a volume to a gzip-encoded .nrrd file with the data attached. Geometry is
+// written in left-posterior-superior space, the volume's own coordinates.
+class NrrdWriter {
+    constructor() {
+        // Typed array of the voxels -> NRRD type name
+        this.types = [
+            { type: Int8Array, name: 'int8' },
+            { type: Uint8Array, name: 'uint8' },
+            { type: Int16Array, name: 'int16' },
+            { type: Uint16Array, name: 'uint16' },
+            { type: Int32Array, name: 'int32' },
+            { type: Uint32Array, name: 'uint32' },
+            { type: Float32Array, name: 'float' },
+            { type: Float64Array, name: 'double' }
+        ];
+
+        this.gzip = new Gzip();
+    }
+
+    // .nrrd bytes of a volume: the text header, then the gzip-compressed voxels in
+    // the platform's byte order (little endian on every browser platform)
+    async writeNrrd(volume) {
+        const header = new TextEncoder().encode(this.header(volume));
+        const data = volume.data;
+        const compressed = await this.gzip.compress(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+
+        const bytes = new Uint8Array(header.byteLength + compressed.byteLength);
+        bytes.set(header, 0);
+        bytes.set(compressed, header.byteLength);
+        return bytes;
+    }
+
+    header(volume) {
+        const isColor = volume.components === 3;
+        const voxelType = this.types.find(candidate => volume.data instanceof candidate.type);
+        if (!voxelType) {
+            throw new Error(`Cannot write ${volume.data.constructor.name} voxels to NRRD`);
+        }
+
+        const vector = values => `(${values.map(value => +value.toPrecision(10)).join(',')})`;
+        const direction = volume.direction || [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        const spaceDirections = [0, 1, 2].map(axis =>
+            vector(direction.slice(axis * 3, axis * 3 + 3).map(value => value * volume.spacing[axis])));
+
+        // A colour volume gets a leading RGB axis
+        const lines = [
+            'NRRD0004',
+            '# Exported by 3D CT Viewer',
+            `type: ${voxelType.name}`,
+            `dimension: ${isColor ? 4 : 3}`,
+            'space: left-posterior-superior',
+            `sizes: ${isColor ? '3 ' : ''}${volume.dimensions.join(' ')}`,
+            `space directions: ${isColor ? 'none ' : ''}${spaceDirections.join(' ')}`,
+            `kinds: ${isColor ? 'RGB-Color ' : ''}domain domain domain`,
+            'endian: little',
+            'encoding: gzip',
+            `space origin: ${vector(volume.origin || [0, 0, 0])}`
+        ];
+
+        if (volume.window && !isColor) {
+            lines.push(`window center:=${volume.window.center}`, `window width:=${volume.window.width}`);
+        }
+
+        return lines.join('\n') + '\n\n';
+    }
+}
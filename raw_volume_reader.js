@@ -0,0 +1,147 @@
+// Shared helpers for formats that store a volume as a plain block of voxels after
+// a header (NIfTI, MetaImage, NRRD, headerless raw). Turns the bytes into a typed
+// array and wraps it in the volume object DicomParser.buildVolume produces.
+class RawVolumeReader {
+    constructor() {
+        // Voxel types by name -> typed array, bytes per value and DataView getter
+        this.types = {
+            int8: { type: Int8Array, size: 1, getter: 'getInt8' },
+            uint8: { type: Uint8Array, size: 1, getter: 'getUint8' },
+            int16: { type: Int16Array, size: 2, getter: 'getInt16' },
+            uint16: { type: Uint16Array, size: 2, getter: 'getUint16' },
+            int32: { type: Int32Array, size: 4, getter: 'getInt32' },
+            uint32: { type: Uint32Array, size: 4, getter: 'getUint32' },
+            int64: { type: BigInt64Array, size: 8, getter: 'getBigInt64' },
+            uint64: { type: BigUint64Array, size: 8, getter: 'getBigUint64' },
+            float32: { type: Float32Array, size: 4, getter: 'getFloat32' },
+            float64: { type: Float64Array, size: 8, getter: 'getFloat64' }
+        };
+    }
+
+    // Voxels as a typed array: a view over the file when byte order and alignment
+    // allow it, otherwise read value by value. 64-bit integers come back as
+    // Float64Array, which the renderer and the range code can use directly.
+    readVoxels(view, offset, voxelCount, typeName, littleEndian) {
+        const voxelType = this.types[typeName];
+        if (!voxelType) {
+            throw new Error(`Unsupported voxel type ${typeName}`);
+        }
+        if (offset < 0 || offset + voxelCount * voxelType.size > view.byteLength) {
+            throw new Error(`Voxel data is truncated (${Math.max(0, view.byteLength - offset)} bytes for ` +
+                            `${voxelCount} ${typeName} voxels)`);
+        }
+
+        const byteOffset = view.byteOffset + offset;
+        const is64Bit = typeName === 'int64' || typeName === 'uint64';
+        if (!is64Bit && (littleEndian || voxelType.size === 1) && byteOffset % voxelType.size === 0) {
+            return new voxelType.type(view.buffer, byteOffset, voxelCount);
+        }
+
+        const data = new (is64Bit ? Float64Array : voxelType.type)(voxelCount);
+        const getter = voxelType.getter;
+        for (let i = 0; i < voxelCount; i++) {
+            data[i] = Number(view[getter](offset + i * voxelType.size, littleEndian));
+        }
+        return data;
+    }
+
+    // Bytes a headerless layout { dimensions, type, headerOffset } occupies
+    layoutSize(layout) {
+        const [cols, rows, depth] = layout.dimensions;
+        return (layout.headerOffset || 0) + cols * rows * depth * this.types[layout.type].size;
+    }
+
+    // One slice of a headerless file, for previews before the whole volume is read
+    readRawSlice(arrayBuffer, layout, sliceIndex) {
+        const [cols, rows] = layout.dimensions;
+        const sliceVoxels = cols * rows;
+        const offset = (layout.headerOffset || 0) + sliceIndex * sliceVoxels * this.types[layout.type].size;
+        return this.readVoxels(new DataView(arrayBuffer), offset, sliceVoxels, layout.type, layout.littleEndian);
+    }
+
+    // Volume from a headerless file whose layout the user supplied:
+    // { dimensions, type, littleEndian, headerOffset, spacing }
+    readRawVolume(arrayBuffer, layout) {
+        const [cols, rows, depth] = layout.dimensions;
+        const data = this.readVoxels(new DataView(arrayBuffer), layout.headerOffset || 0, cols * rows * depth,
+                                     layout.type, layout.littleEndian);
+        return this.createVolume(data, layout.dimensions, { spacing: layout.spacing, dataType: layout.type });
+    }
+
+    // Interleaved RGB voxels from 3 or 4 (RGBA, alpha dropped) uint8 components
+    readColorVoxels(view, offset, voxelCount, components) {
+        if (offset < 0 || offset + voxelCount * components > view.byteLength) {
+            throw new Error(`Voxel data is truncated (${Math.max(0, view.byteLength - offset)} bytes for ` +
+                            `${voxelCount} voxels of ${components} components)`);
+        }
+        const source = new Uint8Array(view.buffer, view.byteOffset + offset, voxelCount * components);
+        if (components === 3) {
+            return source;
+        }
+
+        const data = new Uint8Array(voxelCount * 3);
+        for (let i = 0; i < voxelCount; i++) {
+            data[i * 3] = source[i * components];
+            data[i * 3 + 1] = source[i * components + 1];
+            data[i * 3 + 2] = source[i * components + 2];
+        }
+        return data;
+    }
+
+    // Streaming [min, max], ignoring NaN and infinite voxels
+    valueRange(data) {
+        let minValue = Infinity;
+        let maxValue = -Infinity;
+        for (let i = 0; i < data.length; i++) {
+            const value = data[i];
+            if (value < minValue) minValue = value;
+            if (value > maxValue) maxValue = value;
+        }
+        if (!isFinite(minValue) || !isFinite(maxValue)) {
+            return [0, 0];
+        }
+        return [minValue, maxValue];
+    }
+
+    // Spacing, origin and axis directions (LPS) -> the geometry fields of a volume,
+    // including the row-major voxel -> patient affine
+    geometry(spacing, origin = [0, 0, 0], direction = [1, 0, 0, 0, 1, 0, 0, 0, 1]) {
+        const affine = [];
+        for (let r = 0; r < 3; r++) {
+            affine.push(direction[r] * spacing[0], direction[3 + r] * spacing[1], direction[6 + r] * spacing[2], origin[r]);
+        }
+        affine.push(0, 0, 0, 1);
+
+        return { spacing: spacing.slice(), origin: origin.slice(), direction: direction.slice(), affine };
+    }
+
+    // Volume object for voxels in x-fastest order. Without a stored display window
+    // the full data range is shown.
+    createVolume(data, dimensions, { spacing = [1, 1, 1], origin, direction, dataType, components = 1, window = null } = {}) {
+        const geometry = this.geometry(spacing, origin, direction);
+
+        if (components === 3) {
+            return {
+                data,
+                dimensions,
+                components: 3,
+                ...geometry,
+                range: [0, 255],
+                dataType,
+                rescale: { slope: 1, intercept: 0 },
+                window: null
+            };
+        }
+
+        const range = this.valueRange(data);
+        return {
+            data,
+            dimensions,
+            ...geometry,
+            range,
+            dataType,
+            rescale: { slope: 1, intercept: 0 },
+            window: window || { center: (range[0] + range[1]) / 2, width: Math.max(1, range[1] - range[0]) }
+        };
+    }
+}
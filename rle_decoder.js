@@ -0,0 +1,66 @@
+// RLE Lossless (DICOM PS3.5 Annex G) decoder for encapsulated DICOM pixel data
+class RleDecoder {
+    // Decode one RLE frame. Each segment holds one byte plane, most significant
+    // byte of each sample first. Returns the pixels with samples interleaved.
+    decode(data, rows, columns, bitsAllocated, samplesPerPixel = 1) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (bytes.length < 64) {
+            throw new Error('RLE frame is shorter than its 64-byte header');
+        }
+
+        const segmentCount = view.getUint32(0, true);
+        const bytesPerSample = bitsAllocated / 8;
+        if (segmentCount !== bytesPerSample * samplesPerPixel) {
+            throw new Error(`RLE frame has ${segmentCount} segments, expected ${bytesPerSample * samplesPerPixel}`);
+        }
+
+        const segmentOffsets = [];
+        for (let i = 0; i < segmentCount; i++) {
+            segmentOffsets.push(view.getUint32(4 + i * 4, true));
+        }
+
+        const pixelCount = rows * columns;
+        const pixels = bitsAllocated === 16
+            ? new Uint16Array(pixelCount * samplesPerPixel)
+            : new Uint8Array(pixelCount * samplesPerPixel);
+        const plane = new Uint8Array(pixelCount);
+
+        for (let s = 0; s < segmentCount; s++) {
+            const start = segmentOffsets[s];
+            const end = s + 1 < segmentCount ? segmentOffsets[s + 1] : bytes.length;
+            this.decodeSegment(bytes, start, end, plane);
+
+            const sample = Math.floor(s / bytesPerSample);
+            const shift = (bytesPerSample - 1 - (s % bytesPerSample)) * 8;
+            for (let i = 0; i < pixelCount; i++) {
+                pixels[i * samplesPerPixel + sample] |= plane[i] << shift;
+            }
+        }
+
+        return pixels;
+    }
+
+    // Unpack one PackBits-style segment into out
+    decodeSegment(bytes, offset, end, out) {
+        let position = 0;
+        out.fill(0);
+
+        while (offset < end && position < out.length) {
+            const n = (bytes[offset++] << 24) >> 24; // Signed byte
+            if (n >= 0) {
+                // Literal run of n + 1 bytes
+                const count = Math.min(n + 1, out.length - position, end - offset);
+                out.set(bytes.subarray(offset, offset + count), position);
+                position += count;
+                offset += n + 1;
+            } else if (n !== -128) {
+                // Replicate the next byte 1 - n times
+                const count = Math.min(1 - n, out.length - position);
+                out.fill(bytes[offset++], position, position + count);
+                position += count;
+            }
+        }
+    }
+}
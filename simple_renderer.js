@@ -2,7 +2,7 @@
 class SimpleVolumeRenderer {
     constructor(canvas) {
         this.canvas = canvas;
-        this.gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        this.gl = VolumeTexture.getContext(canvas);
         
         if (!this.gl) {
             throw new Error('WebGL not supported');
@@ -12,9 +12,9 @@ class SimpleVolumeRenderer {
     }
     
     init() {
+        this.setupTextures();
         this.setupShaders();
         this.setupBuffers();
-        this.setupTextures();
         this.setupUniforms();
         
         // Initialize camera
@@ -26,7 +26,6 @@ class SimpleVolumeRenderer {
         this.windowLevel = 128;
         this.windowWidth = 256;
         this.volumeData = null;
-        this.volumeTexture = null;
         
         // Mouse interaction
         this.isDragging = false;
@@ -53,15 +52,12 @@ class SimpleVolumeRenderer {
             precision mediump float;
             
             varying vec2 v_texCoord;
-            uniform sampler2D u_volumeTexture;
-            uniform float u_textureWidth;
-            uniform float u_textureHeight;
-            uniform float u_slices;
             uniform float u_threshold;
             uniform float u_opacity;
             uniform float u_windowLevel;
             uniform float u_windowWidth;
-            uniform vec3 u_volumeSize;
+            
+            ${this.volumeTexture.samplerSource()}
             
             void main() {
                 // If no texture is bound, show a simple pattern
@@ -75,20 +71,7 @@ class SimpleVolumeRenderer {
                 }
                 
                 // Sample the volume texture at the center slice for now
-                float sliceCenter = u_slices * 0.5;
-                vec2 uv = v_texCoord;
-                
-                // Calculate texture coordinates accounting for slice layout
-                float slicesPerRow = u_textureWidth / u_volumeSize.x;
-                float row = floor(sliceCenter / slicesPerRow);
-                float col = mod(sliceCenter, slicesPerRow);
-                
-                vec2 sliceSize = vec2(u_volumeSize.x / u_textureWidth, u_volumeSize.y / u_textureHeight);
-                vec2 sliceOffset = vec2(col * u_volumeSize.x / u_textureWidth, row * u_volumeSize.y / u_textureHeight);
-                
-                uv = uv * sliceSize + sliceOffset;
-                
-                float density = texture2D(u_volumeTexture, uv).r;
+                float density = sampleVolumeTexture(vec3(v_texCoord, 0.5)).r;
                 
                 // Apply window level and window width transformation
                 float windowMin = u_windowLevel - u_windowWidth * 0.5;
@@ -123,7 +106,7 @@ class SimpleVolumeRenderer {
     
     createShader(type, source) {
         const shader = this.gl.createShader(type);
-        this.gl.shaderSource(shader, source);
+        this.gl.shaderSource(shader, this.volumeTexture.shaderSource(type, source));
         this.gl.compileShader(shader);
         
         if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
@@ -164,7 +147,7 @@ class SimpleVolumeRenderer {
     }
     
     setupTextures() {
-        this.volumeTexture = this.gl.createTexture();
+        this.volumeTexture = new VolumeTexture(this.gl);
     }
     
     setupUniforms() {
@@ -218,68 +201,9 @@ class SimpleVolumeRenderer {
     loadVolume(volumeData) {
         this.volumeData = volumeData;
         
-        const [width, height, depth] = volumeData.dimensions;
-        
-        // Calculate texture layout
-        const slicesPerRow = Math.ceil(Math.sqrt(depth));
-        const rows = Math.ceil(depth / slicesPerRow);
-        
-        const texWidth = slicesPerRow * width;
-        const texHeight = rows * height;
-        
-        // Create texture data
-        const textureData = new Uint8Array(texWidth * texHeight);
-        
-        // Fill texture data
-        for (let z = 0; z < depth; z++) {
-            const sliceRow = Math.floor(z / slicesPerRow);
-            const sliceCol = z % slicesPerRow;
-            
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const volumeIdx = z * width * height + y * width + x;
-                    const texX = sliceCol * width + x;
-                    const texY = sliceRow * height + y;
-                    const texIdx = texY * texWidth + texX;
-                    
-                    textureData[texIdx] = Math.max(0, Math.min(255, Math.round(volumeData.data[volumeIdx])));
-                }
-            }
-        }
-        
-        // Ensure we have a valid texture
-        if (!this.volumeTexture) {
-            this.volumeTexture = this.gl.createTexture();
-        }
-        
-        // Upload texture - bind texture before setting parameters
-        this.gl.bindTexture(this.gl.TEXTURE_2D, this.volumeTexture);
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
-        
-        this.gl.texImage2D(
-            this.gl.TEXTURE_2D,
-            0,
-            this.gl.LUMINANCE,
-            texWidth,
-            texHeight,
-            0,
-            this.gl.LUMINANCE,
-            this.gl.UNSIGNED_BYTE,
-            textureData
-        );
-        
-        // Unbind texture after uploading
-        this.gl.bindTexture(this.gl.TEXTURE_2D, null);
-        
-        this.textureLayout = {
-            width: texWidth,
-            height: texHeight,
-            slices: depth,
-            volumeSize: [width, height, depth]
-        };
+        // 8-bit texture values, clamped to 0-255
+        this.textureLayout = this.volumeTexture.allocate(volumeData.dimensions);
+        this.volumeTexture.uploadSlices(volumeData.data);
     }
     
     setThreshold(value) {
@@ -312,23 +236,8 @@ class SimpleVolumeRenderer {
         this.gl.enableVertexAttribArray(positionAttributeLocation);
         this.gl.vertexAttribPointer(positionAttributeLocation, 2, this.gl.FLOAT, false, 0, 0);
         
-        // Bind texture and set uniforms
-        if (this.volumeTexture && this.textureLayout) {
-            this.gl.activeTexture(this.gl.TEXTURE0);
-            this.gl.bindTexture(this.gl.TEXTURE_2D, this.volumeTexture);
-            this.gl.uniform1i(this.uniformLocations.volumeTexture, 0);
-            
-            this.gl.uniform1f(this.uniformLocations.textureWidth, this.textureLayout.width);
-            this.gl.uniform1f(this.uniformLocations.textureHeight, this.textureLayout.height);
-            this.gl.uniform1f(this.uniformLocations.slices, this.textureLayout.slices);
-            this.gl.uniform3f(this.uniformLocations.volumeSize, 
-                             this.textureLayout.volumeSize[0],
-                             this.textureLayout.volumeSize[1],
-                             this.textureLayout.volumeSize[2]);
-        } else {
-            // If no volume loaded, pass zeros to avoid errors
-            this.gl.uniform1f(this.uniformLocations.slices, 0);
-        }
+        // Bind texture and set uniforms (u_slices is 0 when no volume is loaded)
+        this.volumeTexture.bind(0, this.uniformLocations);
         
         this.gl.uniform1f(this.uniformLocations.threshold, this.threshold);
         this.gl.uniform1f(this.uniformLocations.opacity, this.opacity);
@@ -0,0 +1,226 @@
+// Downloads volumes for deep links (index.html?volume=... / ?series=...). Files are
+// fetched in chunks with HTTP range requests, so progress is known and a NIfTI file
+// can be decoded slice by slice while it is still arriving. Servers that ignore
+// Range headers send the whole file in one response, which is streamed instead.
+class StreamingLoader {
+    constructor({ chunkSize = 4 * 1024 * 1024, headers = {} } = {}) {
+        this.chunkSize = chunkSize;
+        this.headers = headers;
+        this.niftiParser = new NiftiParser();
+        this.gzip = new Gzip();
+    }
+
+    // The bytes of url as they arrive; onProgress is called with { loaded, total }
+    // (total is null when the server does not say)
+    async *fetchChunks(url, { signal, onProgress } = {}) {
+        let loaded = 0;
+        let total = null;
+
+        for (;;) {
+            const response = await fetch(url, {
+                headers: { ...this.headers, Range: `bytes=${loaded}-${loaded + this.chunkSize - 1}` },
+                signal
+            });
+            // Asking for the range after the last byte of a file whose size was not given
+            if (response.status === 416 && loaded > 0) {
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(`Request for ${url} failed: ${response.status} ${response.statusText}`);
+            }
+
+            if (response.status !== 206) {
+                if (loaded > 0) {
+                    throw new Error(`${url} stopped answering range requests`);
+                }
+                yield* this.streamBody(response, onProgress);
+                return;
+            }
+
+            const contentRange = /bytes\s+(\d+)-(\d+)\/(\d+|\*)/i.exec(response.headers.get('Content-Range') || '');
+            if (contentRange && contentRange[3] !== '*') {
+                total = parseInt(contentRange[3], 10);
+            }
+            const chunk = new Uint8Array(await response.arrayBuffer());
+            if (chunk.length === 0) {
+                return;
+            }
+            loaded += chunk.length;
+            if (onProgress) {
+                onProgress({ loaded, total });
+            }
+            yield chunk;
+
+            if (total !== null ? loaded >= total : chunk.length < this.chunkSize) {
+                return;
+            }
+        }
+    }
+
+    async *streamBody(response, onProgress) {
+        const total = parseInt(response.headers.get('Content-Length'), 10) || null;
+        const reader = response.body.getReader();
+        let loaded = 0;
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    return;
+                }
+                loaded += value.length;
+                if (onProgress) {
+                    onProgress({ loaded, total });
+                }
+                yield value;
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+    }
+
+    // The whole file as a File named after the last part of its path
+    async fetchFile(url, options = {}) {
+        const chunks = [];
+        for await (const chunk of this.fetchChunks(url, options)) {
+            chunks.push(chunk);
+        }
+        return new File(chunks, this.fileName(url));
+    }
+
+    // Read a .nii or .nii.gz file, calling onSlices({ header, dimensions, spacing,
+    // components, data, firstSlice, sliceCount }) whenever more whole slices of the
+    // first 3D volume have arrived. Gzip data is inflated as it streams in. The
+    // download stops once the first volume is complete (4D files are not read on).
+    async streamNifti(url, { signal, onProgress, onSlices } = {}) {
+        const chunks = this.fetchChunks(url, { signal, onProgress });
+        const first = await chunks.next();
+        if (first.done) {
+            throw new Error(`${url} is empty`);
+        }
+
+        let stream = new ReadableStream({
+            start(controller) {
+                controller.enqueue(first.value);
+            },
+            async pull(controller) {
+                const { done, value } = await chunks.next();
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
+                }
+            },
+            cancel() {
+                return chunks.return();
+            }
+        });
+        if (this.gzip.isGzip(first.value)) {
+            stream = stream.pipeThrough(new DecompressionStream('gzip'));
+        }
+
+        const reader = stream.getReader();
+        const parser = this.niftiParser;
+        let head = new Uint8Array(0);
+        let bytes = null;
+        let filled = 0;
+        let header = null;
+        let layout = null;
+        let slicesDone = 0;
+        let preview = null;
+
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+
+                if (!header) {
+                    // Collect enough bytes for a NIfTI-2 header (a NIfTI-1 header is shorter)
+                    const joined = new Uint8Array(head.length + value.length);
+                    joined.set(head);
+                    joined.set(value, head.length);
+                    head = joined;
+                    if (head.length < 544) {
+                        continue;
+                    }
+                    header = parser.readHeader(new DataView(head.buffer));
+                    layout = parser.voxelLayout(header);
+                    bytes = new Uint8Array(layout.offset + layout.byteLength);
+                    filled = Math.min(head.length, bytes.length);
+                    bytes.set(head.subarray(0, filled));
+                    head = null;
+                    const geometry = parser.computeGeometry(header, layout.dims);
+                    preview = { header, dimensions: layout.dims, spacing: geometry.spacing, components: layout.datatype.components ? 3 : 1 };
+                } else {
+                    const count = Math.min(value.length, bytes.length - filled);
+                    bytes.set(value.subarray(0, count), filled);
+                    filled += count;
+                }
+
+                const slicesReady = Math.min(layout.dims[2],
+                    Math.floor(Math.max(0, filled - layout.offset) / layout.sliceByteLength));
+                if (onSlices && slicesReady > slicesDone) {
+                    const view = new DataView(bytes.buffer);
+                    onSlices({
+                        ...preview,
+                        data: parser.readSlices(view, header, slicesDone, slicesReady - slicesDone),
+                        firstSlice: slicesDone,
+                        sliceCount: slicesReady - slicesDone
+                    });
+                    slicesDone = slicesReady;
+                }
+                if (filled === bytes.length) {
+                    break;
+                }
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+
+        // A file smaller than the largest header, or cut short, fails in the parser
+        // with the same errors as a local file
+        if (!header) {
+            header = parser.readHeader(new DataView(head.buffer));
+        }
+        const view = new DataView(bytes ? bytes.buffer : head.buffer, 0, bytes ? filled : head.length);
+        return parser.buildVolume(view, header);
+    }
+
+    // The file URLs listed in a series manifest, resolved against the manifest's URL.
+    // A manifest is JSON: { "files": ["IM0001.dcm", ...] } or just the array.
+    async fetchManifest(url, { signal } = {}) {
+        const response = await fetch(url, { headers: this.headers, signal });
+        if (!response.ok) {
+            throw new Error(`Request for ${url} failed: ${response.status} ${response.statusText}`);
+        }
+        const manifest = await response.json();
+        const files = Array.isArray(manifest) ? manifest : manifest.files;
+        if (!Array.isArray(files) || files.length === 0) {
+            throw new Error(`${url} does not list any files (expected { "files": [...] })`);
+        }
+        const base = new URL(url, location.href);
+        return files.map(file => new URL(file, base).href);
+    }
+
+    // Fetch a list of URLs, at most concurrency at a time, calling onFile(file, index)
+    // as each one arrives. Resolves when all have arrived.
+    async fetchFiles(urls, { signal, concurrency = 4, onFile } = {}) {
+        let next = 0;
+        const fetchNext = async () => {
+            while (next < urls.length) {
+                const index = next++;
+                const file = await this.fetchFile(urls[index], { signal });
+                if (onFile) {
+                    await onFile(file, index);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, fetchNext));
+    }
+
+    fileName(url) {
+        const path = new URL(url, location.href).pathname;
+        return decodeURIComponent(path.split('/').pop()) || 'download';
+    }
+}
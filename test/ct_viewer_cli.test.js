@@ -0,0 +1,65 @@
+// Runs ct_viewer_cli.js on the phantom study in fixtures/dicomweb
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { DicomWriter, NiftiParser } = require('../ct_viewer');
+
+const cli = path.join(__dirname, '..', 'ct_viewer_cli.js');
+const fixtures = path.join(__dirname, '..', 'fixtures', 'dicomweb');
+
+function runCli(args) {
+    return spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+}
+
+// A folder with the axial series under IMAGES/ and a DICOMDIR referring to it.
+// The localizer is there too, but not in the DICOMDIR.
+function writeDicomDirFolder() {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-viewer-'));
+    fs.mkdirSync(path.join(folder, 'IMAGES'));
+    fs.copyFileSync(path.join(fixtures, 'localizer.dcm'), path.join(folder, 'IMAGES', 'LOCALIZER'));
+
+    const w = new DicomWriter();
+    const records = [
+        [w.createElement('00041430', 'CS', 'PATIENT'), w.createElement('00100010', 'PN', 'PHANTOM^CT')],
+        [w.createElement('00041430', 'CS', 'STUDY')],
+        [w.createElement('00041430', 'CS', 'SERIES'), w.createElement('00080060', 'CS', 'CT')]
+    ];
+    for (const name of fs.readdirSync(fixtures).filter(file => file.startsWith('axial'))) {
+        const fileID = name.replace(/[_.]/g, '').toUpperCase().slice(0, 8);
+        fs.copyFileSync(path.join(fixtures, name), path.join(folder, 'IMAGES', fileID));
+        records.push([w.createElement('00041430', 'CS', 'IMAGE'), w.createElement('00041500', 'CS', ['IMAGES', fileID])]);
+    }
+    const dicomDir = w.write([
+        w.createElement('00080016', 'UI', '1.2.840.10008.1.3.10'), // Media Storage Directory Storage
+        w.createElement('00080018', 'UI', '2.25.1'),
+        { tag: '00041220', vr: 'SQ', items: records }
+    ]);
+    fs.writeFileSync(path.join(folder, 'DICOMDIR'), dicomDir);
+    return folder;
+}
+
+test('converts the series a DICOMDIR refers to', async () => {
+    const folder = writeDicomDirFolder();
+    try {
+        const output = path.join(folder, 'out.nii');
+        const result = runCli(['convert', path.join(folder, 'DICOMDIR'), output]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.match(result.stderr, /^16 files: 16 accepted/);
+        assert.strictEqual(result.stdout, '');
+
+        const bytes = fs.readFileSync(output);
+        const volume = await new NiftiParser({ logger: { log() {}, warn() {} } }).parseNifti(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+        assert.deepStrictEqual(volume.dimensions, [32, 32, 16]);
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+});
+
+test('lists the series of a folder', () => {
+    const result = runCli(['series', fixtures]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(result.stdout.trim().split('\n').map(line => line.split('  ')[0]), ['#2', '#1']);
+});
@@ -0,0 +1,70 @@
+// De-identification of a file with encapsulated (RLE) pixel data
+const assert = require('assert');
+const test = require('node:test');
+const { DicomParser, DicomWriter, DicomDeidentifier } = require('../ct_viewer');
+
+const quietParser = () => new DicomParser({ logger: { log() {}, warn() {} } });
+
+// Item or delimitation tag of encapsulated pixel data, little endian
+function itemHeader(element, length) {
+    const bytes = new Uint8Array(8);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, 0xFFFE, true);
+    view.setUint16(2, element, true);
+    view.setUint32(4, length, true);
+    return bytes;
+}
+
+// A 2x2 8-bit RLE image followed by a private group after the pixel data
+function writeRleFile() {
+    const w = new DicomWriter();
+    const segment = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 3, 10, 20, 30, 40, 0]);
+    const rle = new Uint8Array(64 + segment.length);
+    const header = new DataView(rle.buffer);
+    header.setUint32(0, 1, true); // one segment
+    header.setUint32(4, 64, true); // at offset 64
+    rle.set(segment.subarray(8), 64);
+    const fragment = rle.subarray(0, 64 + 6);
+
+    const pixelData = new Uint8Array(8 + 8 + fragment.length + 8);
+    pixelData.set(itemHeader(0xE000, 0), 0); // empty Basic Offset Table
+    pixelData.set(itemHeader(0xE000, fragment.length), 8);
+    pixelData.set(fragment, 16);
+    pixelData.set(itemHeader(0xE0DD, 0), 16 + fragment.length);
+
+    return w.write([
+        w.createElement('00080016', 'UI', '1.2.840.10008.5.1.4.1.1.7'),
+        w.createElement('00080018', 'UI', '2.25.1'),
+        w.createElement('00100010', 'PN', 'DOE^JOHN'),
+        w.createElement('00280002', 'US', 1),
+        w.createElement('00280004', 'CS', 'MONOCHROME2'),
+        w.createElement('00280010', 'US', 2),
+        w.createElement('00280011', 'US', 2),
+        w.createElement('00280100', 'US', 8),
+        w.createElement('00280101', 'US', 8),
+        w.createElement('00280102', 'US', 7),
+        w.createElement('00280103', 'US', 0),
+        { tag: '7FE00010', vr: 'OB', bytes: pixelData, undefinedLength: true },
+        w.createElement('7FE10010', 'LO', 'ACME 1.0'), // Private Creator
+        w.createElement('7FE11010', 'LO', 'DOE^JOHN^PRIVATE')
+    ], '1.2.840.10008.1.2.5');
+}
+
+test('parses the elements after encapsulated pixel data', () => {
+    const file = writeRleFile();
+    const { dataset } = quietParser().parseDataset(file.buffer);
+    assert.ok(dataset.elements.has('7FE11010'));
+});
+
+test('removes private elements after encapsulated pixel data and keeps the image', async () => {
+    const file = writeRleFile();
+    const output = new DicomDeidentifier().deidentifyFile(file.buffer);
+
+    assert.ok(!Buffer.from(output).includes('DOE^JOHN'));
+    const { dataset } = quietParser().parseDataset(output.buffer);
+    assert.ok(!dataset.elements.has('7FE10010'));
+    assert.ok(!dataset.elements.has('7FE11010'));
+
+    const { slices } = await quietParser().parseDicomFile(output.buffer, 'output.dcm');
+    assert.deepStrictEqual(Array.from(slices[0].data), [10, 20, 30, 40]);
+});
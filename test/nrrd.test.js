@@ -0,0 +1,22 @@
+// NRRD written by NrrdWriter and read back by NrrdParser
+const assert = require('assert');
+const test = require('node:test');
+const { NrrdParser, NrrdWriter } = require('../ct_viewer');
+
+test('keeps the display window through a round trip', async () => {
+    const volume = {
+        data: new Int16Array([-1000, 0, 40, 400, 1000, 2000, -500, 100]),
+        dimensions: [2, 2, 2],
+        spacing: [0.5, 0.5, 2],
+        origin: [10, 20, 30],
+        direction: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+        window: { center: 40, width: 400 }
+    };
+    const bytes = await new NrrdWriter().writeNrrd(volume);
+    const parsed = await new NrrdParser({ logger: { log() {}, warn() {} } })
+        .parseNrrd(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+
+    assert.deepStrictEqual(parsed.window, { center: 40, width: 400 });
+    assert.deepStrictEqual(Array.from(parsed.data), Array.from(volume.data));
+    assert.deepStrictEqual(parsed.spacing, [0.5, 0.5, 2]);
+});
@@ -0,0 +1,209 @@
+// The GPU copy of a volume that the renderers sample. WebGL2 contexts hold it in a
+// 3D texture (texImage3D) that the hardware filters trilinearly; WebGL1 contexts,
+// which have no 3D textures, tile the slices into a 2D atlas and interpolate
+// between slices in the shader. Both paths give shaders the same interface:
+//
+//   uniform u_volumeTexture, u_textureWidth, u_textureHeight, u_slices, u_volumeSize
+//   vec4 sampleVolumeTexture(vec3 pos)   pos in [0, 1]^3, voxel centres at (i + 0.5) / size
+//
+// Renderers include samplerSource() in their fragment shader, write shaders in
+// GLSL ES 1.00 and compile them through shaderSource(), which converts them to
+// GLSL ES 3.00 for WebGL2.
+class VolumeTexture {
+    // A WebGL2 context where available, otherwise WebGL1
+    static getContext(canvas, attributes) {
+        return canvas.getContext('webgl2', attributes) ||
+            canvas.getContext('webgl', attributes) ||
+            canvas.getContext('experimental-webgl', attributes);
+    }
+
+    // linear: trilinear filtering (false samples the nearest voxel)
+    constructor(gl, { linear = true } = {}) {
+        this.gl = gl;
+        this.linear = linear;
+        this.isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+        this.target = this.isWebGL2 ? gl.TEXTURE_3D : gl.TEXTURE_2D;
+        this.texture = gl.createTexture();
+        this.layout = null;
+    }
+
+    // GLSL declaring the volume uniforms and sampleVolumeTexture
+    samplerSource() {
+        if (this.isWebGL2) {
+            return `
+            precision mediump sampler3D;
+            uniform sampler3D u_volumeTexture;
+            uniform float u_textureWidth;
+            uniform float u_textureHeight;
+            uniform float u_slices;
+            uniform vec3 u_volumeSize;
+
+            vec4 sampleVolumeTexture(vec3 pos) {
+                return texture(u_volumeTexture, pos);
+            }
+            `;
+        }
+
+        // Slices are found in their atlas tiles. Positions are kept half a texel
+        // inside the tile so that filtering does not bleed in the neighbouring tiles.
+        const sliceSampling = this.linear
+            ? `
+                float sliceF = clamp(pos.z * u_slices - 0.5, 0.0, u_slices - 1.0);
+                float slice = floor(sliceF);
+                vec4 value = sampleAtlasSlice(pos.xy, slice);
+                if (slice < u_slices - 1.0) {
+                    value = mix(value, sampleAtlasSlice(pos.xy, slice + 1.0), sliceF - slice);
+                }
+                return value;`
+            : `
+                return sampleAtlasSlice(pos.xy, clamp(floor(pos.z * u_slices), 0.0, u_slices - 1.0));`;
+        return `
+            uniform sampler2D u_volumeTexture;
+            uniform float u_textureWidth;
+            uniform float u_textureHeight;
+            uniform float u_slices;
+            uniform vec3 u_volumeSize;
+
+            vec4 sampleAtlasSlice(vec2 xy, float slice) {
+                float slicesPerRow = floor(u_textureWidth / u_volumeSize.x + 0.5);
+                vec2 tile = vec2(mod(slice, slicesPerRow), floor(slice / slicesPerRow));
+                vec2 texel = clamp(xy * u_volumeSize.xy, vec2(0.5), u_volumeSize.xy - 0.5);
+                return texture2D(u_volumeTexture, (tile * u_volumeSize.xy + texel) / vec2(u_textureWidth, u_textureHeight));
+            }
+
+            vec4 sampleVolumeTexture(vec3 pos) {${sliceSampling}
+            }
+            `;
+    }
+
+    // Shader source for this context: GLSL ES 1.00 as written, or converted to
+    // GLSL ES 3.00 for WebGL2 (which sampler3D needs)
+    shaderSource(type, source) {
+        if (!this.isWebGL2) {
+            return source;
+        }
+        const gl = this.gl;
+        let converted = source.replace(/\btexture2D\b/g, 'texture');
+        if (type === gl.VERTEX_SHADER) {
+            converted = converted.replace(/\battribute\b/g, 'in').replace(/\bvarying\b/g, 'out');
+            return `#version 300 es\n${converted}`;
+        }
+        converted = converted.replace(/\bvarying\b/g, 'in').replace(/\bgl_FragColor\b/g, 'fragColor');
+        return `#version 300 es\nprecision highp float;\nout vec4 fragColor;\n${converted}`;
+    }
+
+    // Allocate an empty texture for a volume of the given dimensions with 1 (8-bit
+    // luminance) or 3 (RGB) components per voxel; upload fills it
+    allocate(dimensions, components = 1) {
+        const gl = this.gl;
+        const [width, height, depth] = dimensions;
+        const format = components === 3 ? gl.RGB : gl.LUMINANCE;
+
+        let texWidth = width;
+        let texHeight = height;
+        let slicesPerRow = 1;
+        if (this.isWebGL2) {
+            const maxSize = gl.getParameter(gl.MAX_3D_TEXTURE_SIZE);
+            if (Math.max(width, height, depth) > maxSize) {
+                throw new Error(`Volume of ${width}x${height}x${depth} voxels exceeds the 3D texture size limit of ${maxSize}`);
+            }
+        } else {
+            slicesPerRow = Math.ceil(Math.sqrt(depth));
+            texWidth = slicesPerRow * width;
+            texHeight = Math.ceil(depth / slicesPerRow) * height;
+            const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+            if (Math.max(texWidth, texHeight) > maxSize) {
+                throw new Error(`Slice atlas of ${texWidth}x${texHeight} exceeds the texture size limit of ${maxSize} (WebGL1)`);
+            }
+        }
+
+        const filter = this.linear ? gl.LINEAR : gl.NEAREST;
+        gl.bindTexture(this.target, this.texture);
+        // RGB rows are not necessarily 4-byte aligned
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texParameteri(this.target, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(this.target, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(this.target, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(this.target, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        if (this.isWebGL2) {
+            gl.texParameteri(this.target, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+            gl.texImage3D(this.target, 0, format, width, height, depth, 0, format, gl.UNSIGNED_BYTE, null);
+        } else {
+            gl.texImage2D(this.target, 0, format, texWidth, texHeight, 0, format, gl.UNSIGNED_BYTE, null);
+        }
+        gl.bindTexture(this.target, null);
+
+        this.layout = {
+            width: texWidth,
+            height: texHeight,
+            slices: depth,
+            slicesPerRow,
+            format,
+            components,
+            volumeSize: [width, height, depth]
+        };
+        return this.layout;
+    }
+
+    // Upload sliceCount whole slices of 8-bit values (x fastest, as volume data),
+    // starting at firstSlice
+    upload(bytes, firstSlice, sliceCount) {
+        const gl = this.gl;
+        const layout = this.layout;
+        const [width, height] = layout.volumeSize;
+        const sliceLength = width * height * layout.components;
+
+        gl.bindTexture(this.target, this.texture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        if (this.isWebGL2) {
+            gl.texSubImage3D(this.target, 0, 0, 0, firstSlice, width, height, sliceCount,
+                             layout.format, gl.UNSIGNED_BYTE, bytes.subarray(0, sliceCount * sliceLength));
+        } else {
+            for (let s = 0; s < sliceCount; s++) {
+                const z = firstSlice + s;
+                gl.texSubImage2D(this.target, 0,
+                                 (z % layout.slicesPerRow) * width,
+                                 Math.floor(z / layout.slicesPerRow) * height,
+                                 width, height, layout.format, gl.UNSIGNED_BYTE,
+                                 bytes.subarray(s * sliceLength, (s + 1) * sliceLength));
+            }
+        }
+        gl.bindTexture(this.target, null);
+    }
+
+    // Convert consecutive whole slices of volume data (x fastest, starting at
+    // firstSlice) to 8 bits with toByte, clamped and rounded to 0-255, and upload
+    // them one slice at a time so no 8-bit copy of the whole volume is made
+    uploadSlices(data, firstSlice = 0, toByte = value => value) {
+        const [width, height, depth] = this.layout.volumeSize;
+        const sliceLength = width * height * this.layout.components;
+        const sliceCount = Math.min(Math.floor(data.length / sliceLength), depth - firstSlice);
+
+        if (!this.sliceTile || this.sliceTile.length !== sliceLength) {
+            this.sliceTile = new Uint8Array(sliceLength);
+        }
+        const tile = this.sliceTile;
+        for (let s = 0; s < sliceCount; s++) {
+            const offset = s * sliceLength;
+            for (let i = 0; i < sliceLength; i++) {
+                tile[i] = Math.max(0, Math.min(255, Math.round(toByte(data[offset + i]))));
+            }
+            this.upload(tile, firstSlice + s, 1);
+        }
+    }
+
+    // Bind the texture to a texture unit and set the volume uniforms (locations
+    // volumeTexture, textureWidth, textureHeight, slices and volumeSize). Without a
+    // volume u_slices is 0.
+    bind(unit, locations) {
+        const gl = this.gl;
+        const layout = this.layout || { width: 1, height: 1, slices: 0, volumeSize: [1, 1, 1] };
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(this.target, this.layout ? this.texture : null);
+        gl.uniform1i(locations.volumeTexture, unit);
+        gl.uniform1f(locations.textureWidth, layout.width);
+        gl.uniform1f(locations.textureHeight, layout.height);
+        gl.uniform1f(locations.slices, layout.slices);
+        gl.uniform3f(locations.volumeSize, layout.volumeSize[0], layout.volumeSize[1], layout.volumeSize[2]);
+    }
+}
@@ -1,33 +1,19 @@
 class VolumeRenderer {
     constructor(canvas) {
         this.canvas = canvas;
-        this.gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+        this.gl = VolumeTexture.getContext(canvas);
         
         if (!this.gl) {
             throw new Error('WebGL not supported');
         }
         
-        // Check for WebGL2 or OES_texture_float extension
-        this.floatTexturesSupported = !!(this.gl.getExtension('OES_texture_float') || this.gl.getExtension('OES_texture_half_float'));
-        if (!this.floatTexturesSupported) {
-            console.warn('Floating point textures not supported, performance may be affected');
-        }
-        
-        // For WebGL1, we need additional extensions for 3D textures simulation
-        this.textureHalfFloat = this.gl.getExtension('OES_texture_half_float');
-        this.textureHalfFloatLinear = this.gl.getExtension('OES_texture_half_float_linear');
-        
-        // Check if we have WEBGL_color_buffer_float extension for better rendering
-        this.colorBufferFloat = this.gl.getExtension('WEBGL_color_buffer_float') || 
-                               this.gl.getExtension('EXT_color_buffer_float');
-        
         this.init();
     }
     
     init() {
+        this.setupTextures();
         this.setupShaders();
         this.setupBuffers();
-        this.setupTextures();
         this.setupUniforms();
         
         // Initialize camera
@@ -41,7 +27,6 @@ class VolumeRenderer {
         this.windowLevel = 128; // Window level (center of window)
         this.windowWidth = 256; // Window width (range of values to display)
         this.volumeData = null;
-        this.volumeTexture = null;
         
         // Mouse interaction
         this.isDragging = false;
@@ -65,16 +50,11 @@ class VolumeRenderer {
         `;
         
         // Fragment shader for ray marching volume rendering
-        // Using 2D texture to simulate 3D volume rendering
         // Fixed loop to use constant expression
         const fragmentShaderSource = `
             precision highp float;
             
             varying vec2 v_texCoord;
-            uniform sampler2D u_volumeTexture;
-            uniform float u_textureWidth;
-            uniform float u_textureHeight;
-            uniform float u_slices;
             uniform float u_threshold;
             uniform float u_opacity;
             uniform float u_windowLevel;
@@ -82,48 +62,12 @@ class VolumeRenderer {
             uniform vec3 u_viewDir;
             uniform vec3 u_lightPos;
             uniform vec3 u_cameraPos;
-            uniform vec3 u_volumeSize;
             
-            // Function to sample volume texture at 3D position
+            // Volume sampling (trilinear on WebGL2, slice atlas on WebGL1)
+            ${this.volumeTexture.samplerSource()}
+            
             float sampleVolume(vec3 pos) {
-                // Normalize position to [0, 1] range
-                pos = clamp(pos, 0.001, 0.999);
-                
-                // Calculate slice index and interpolation factor
-                float sliceF = pos.z * u_slices;
-                float sliceIdx = floor(sliceF);
-                float sliceFrac = fract(sliceF);
-                
-                // Calculate UV coordinates for current slice
-                vec2 uv = pos.xy;
-                
-                // Calculate texture coordinates accounting for slice layout
-                float slicesPerRow = u_textureWidth / u_volumeSize.x;
-                float row = floor(sliceIdx / slicesPerRow);
-                float col = mod(sliceIdx, slicesPerRow);
-                
-                vec2 sliceSize = vec2(u_volumeSize.x / u_volumeSize.x, u_volumeSize.y / u_volumeSize.y);
-                vec2 sliceOffset = vec2(col * u_volumeSize.x / u_textureWidth, row * u_volumeSize.y / u_textureHeight);
-                
-                uv = uv * sliceSize + sliceOffset;
-                
-                float value1 = texture2D(u_volumeTexture, uv).r;
-                
-                // Linear interpolation between slices if needed
-                if (sliceFrac > 0.0 && sliceIdx < u_slices - 1.0) {
-                    // Calculate coordinates for next slice
-                    float nextSliceIdx = sliceIdx + 1.0;
-                    float nextRow = floor(nextSliceIdx / slicesPerRow);
-                    float nextCol = mod(nextSliceIdx, slicesPerRow);
-                    
-                    vec2 nextSliceOffset = vec2(nextCol * u_volumeSize.x / u_textureWidth, nextRow * u_volumeSize.y / u_textureHeight);
-                    vec2 nextUv = uv - sliceOffset + nextSliceOffset;
-                    
-                    float value2 = texture2D(u_volumeTexture, nextUv).r;
-                    return mix(value1, value2, sliceFrac);
-                }
-                
-                return value1;
+                return sampleVolumeTexture(pos).r;
             }
             
             void main() {
@@ -192,7 +136,7 @@ class VolumeRenderer {
     
     createShader(type, source) {
         const shader = this.gl.createShader(type);
-        this.gl.shaderSource(shader, source);
+        this.gl.shaderSource(shader, this.volumeTexture.shaderSource(type, source));
         this.gl.compileShader(shader);
         
         if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
@@ -235,8 +179,8 @@ class VolumeRenderer {
     }
     
     setupTextures() {
-        // Create 2D texture to simulate 3D volume
-        this.volumeTexture = this.gl.createTexture();
+        // 3D texture on WebGL2, slice atlas on WebGL1
+        this.volumeTexture = new VolumeTexture(this.gl);
     }
     
     setupUniforms() {
@@ -322,159 +266,11 @@ class VolumeRenderer {
     loadVolume(volumeData) {
         this.volumeData = volumeData;
         
-        // Convert 3D volume data to 2D texture format
-        const [width, height, depth] = volumeData.dimensions;
-        
-        // Calculate optimal 2D texture layout for the 3D volume
-        // We'll arrange the depth slices in a 2D grid
-        const slicesPerRow = Math.ceil(Math.sqrt(depth));
-        const rows = Math.ceil(depth / slicesPerRow);
-        
-        const texWidth = slicesPerRow * width;
-        const texHeight = rows * height;
-        
-        // Create a new array for the 2D texture
-        // Use Uint8Array for UNSIGNED_BYTE format instead of Float32Array
-        const textureData = new Uint8Array(texWidth * texHeight);
-        
-        // Fill the texture data by arranging depth slices in a 2D grid
-        for (let z = 0; z < depth; z++) {
-            const sliceRow = Math.floor(z / slicesPerRow);
-            const sliceCol = z % slicesPerRow;
-            
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const volumeIdx = z * width * height + y * width + x;
-                    const texX = sliceCol * width + x;
-                    const texY = sliceRow * height + y;
-                    const texIdx = texY * texWidth + texX;
-                    
-                    // Convert to 0-255 range for Uint8Array
-                    textureData[texIdx] = Math.max(0, Math.min(255, Math.round(volumeData.data[volumeIdx])));
-                }
-            }
-        }
-        
-        // Ensure we have a valid texture
-        if (!this.volumeTexture) {
-            this.volumeTexture = this.gl.createTexture();
-        }
-        
-        // Upload volume data to 2D texture - bind texture before setting parameters
-        this.gl.bindTexture(this.gl.TEXTURE_2D, this.volumeTexture);
-        
-        // Set texture parameters
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
-        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
-        
-        // Determine the correct internal format and type based on WebGL capabilities
-        let internalFormat = this.gl.LUMINANCE;
-        let format = this.gl.LUMINANCE;
-        let dataType = this.gl.UNSIGNED_BYTE;
-        
-        if (this.gl.getExtension('OES_texture_float')) {
-            internalFormat = this.gl.LUMINANCE;
-            format = this.gl.LUMINANCE;
-            dataType = this.gl.FLOAT;
-            // If we're using float extension, convert data to Float32Array
-            if(dataType === this.gl.FLOAT) {
-                // Create a Float32Array copy for floating point texture
-                const floatTextureData = new Float32Array(textureData.length);
-                for(let i = 0; i < textureData.length; i++) {
-                    floatTextureData[i] = textureData[i] / 255.0; // Normalize to [0,1]
-                }
-                // Upload texture data using float array
-                this.gl.texImage2D(
-                    this.gl.TEXTURE_2D,         // target
-                    0,                          // level
-                    internalFormat,             // internalformat
-                    texWidth,                   // width
-                    texHeight,                  // height
-                    0,                          // border
-                    format,                     // format
-                    dataType,                   // type
-                    floatTextureData            // data
-                );
-            } else {
-                // Upload texture data using byte array
-                this.gl.texImage2D(
-                    this.gl.TEXTURE_2D,         // target
-                    0,                          // level
-                    internalFormat,             // internalformat
-                    texWidth,                   // width
-                    texHeight,                  // height
-                    0,                          // border
-                    format,                     // format
-                    dataType,                   // type
-                    textureData                 // data
-                );
-            }
-        } else if (this.gl.getExtension('OES_texture_half_float')) {
-            internalFormat = this.gl.LUMINANCE;
-            format = this.gl.LUMINANCE;
-            dataType = this.gl.getExtension('OES_texture_half_float').HALF_FLOAT_OES;
-            // If we're using half float extension, convert data appropriately
-            if(dataType === this.gl.getExtension('OES_texture_half_float').HALF_FLOAT_OES) {
-                // Create a Float32Array for half-float texture
-                const floatTextureData = new Float32Array(textureData.length);
-                for(let i = 0; i < textureData.length; i++) {
-                    floatTextureData[i] = textureData[i] / 255.0; // Normalize to [0,1]
-                }
-                // Upload texture data using float array for half-float
-                this.gl.texImage2D(
-                    this.gl.TEXTURE_2D,         // target
-                    0,                          // level
-                    internalFormat,             // internalformat
-                    texWidth,                   // width
-                    texHeight,                  // height
-                    0,                          // border
-                    format,                     // format
-                    dataType,                   // type
-                    floatTextureData            // data
-                );
-            } else {
-                // Fallback to byte array
-                this.gl.texImage2D(
-                    this.gl.TEXTURE_2D,         // target
-                    0,                          // level
-                    internalFormat,             // internalformat
-                    texWidth,                   // width
-                    texHeight,                  // height
-                    0,                          // border
-                    format,                     // format
-                    dataType,                   // type
-                    textureData                 // data
-                );
-            }
-        } else {
-            // Default case: use UNSIGNED_BYTE with Uint8Array
-            this.gl.texImage2D(
-                this.gl.TEXTURE_2D,         // target
-                0,                          // level
-                internalFormat,             // internalformat
-                texWidth,                   // width
-                texHeight,                  // height
-                0,                          // border
-                format,                     // format
-                dataType,                   // type
-                textureData                 // data
-            );
-        }
-        
-        // Unbind texture after uploading
-        this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+        // 8-bit texture values, clamped to 0-255
+        this.textureLayout = this.volumeTexture.allocate(volumeData.dimensions);
+        this.volumeTexture.uploadSlices(volumeData.data);
         
         this.volumeDimensions = volumeData.dimensions;
-        
-        // Store texture layout info
-        this.textureLayout = {
-            width: texWidth,
-            height: texHeight,
-            slices: depth,
-            volumeSize: [width, height, depth]
-        };
     }
     
     setThreshold(value) {
@@ -521,20 +317,7 @@ class VolumeRenderer {
         this.gl.vertexAttribPointer(positionAttributeLocation, 2, this.gl.FLOAT, false, 0, 0);
         
         // Set uniforms
-        this.gl.activeTexture(this.gl.TEXTURE0);
-        this.gl.bindTexture(this.gl.TEXTURE_2D, this.volumeTexture);
-        this.gl.uniform1i(this.uniformLocations.volumeTexture, 0);
-        
-        // Set texture layout uniforms
-        if (this.textureLayout) {
-            this.gl.uniform1f(this.uniformLocations.textureWidth, this.textureLayout.width);
-            this.gl.uniform1f(this.uniformLocations.textureHeight, this.textureLayout.height);
-            this.gl.uniform1f(this.uniformLocations.slices, this.textureLayout.slices);
-            this.gl.uniform3f(this.uniformLocations.volumeSize, 
-                             this.textureLayout.volumeSize[0],
-                             this.textureLayout.volumeSize[1],
-                             this.textureLayout.volumeSize[2]);
-        }
+        this.volumeTexture.bind(0, this.uniformLocations);
         
         this.gl.uniform1f(this.uniformLocations.threshold, this.threshold);
         this.gl.uniform1f(this.uniformLocations.opacity, this.opacity);
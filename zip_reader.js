@@ -0,0 +1,160 @@
+// Reads the entries of a ZIP archive (stored or deflated, including ZIP64) from a
+// Blob. Only the central directory is read up front; each entry is a File-like
+// object that reads and inflates its data when arrayBuffer() is called, so large
+// archives are not held in memory twice.
+class ZipReader {
+    constructor() {
+        this.gzip = new Gzip();
+    }
+
+    // ZIP archives start with a local file header ("PK\3\4"), or are empty ("PK\5\6")
+    isZip(bytes) {
+        return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B &&
+               ((bytes[2] === 0x03 && bytes[3] === 0x04) || (bytes[2] === 0x05 && bytes[3] === 0x06));
+    }
+
+    // File-like entries ({ name, webkitRelativePath, size, arrayBuffer(), head(length) })
+    // of the archive's files; folders and macOS resource forks are left out
+    async readEntries(blob) {
+        const directory = await this.readCentralDirectory(blob);
+        const view = new DataView(directory.bytes.buffer, directory.bytes.byteOffset, directory.bytes.byteLength);
+        const decoder = new TextDecoder();
+        const entries = [];
+
+        let offset = 0;
+        for (let i = 0; i < directory.entryCount; i++) {
+            if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== 0x02014B50) {
+                throw new Error('Damaged ZIP central directory');
+            }
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            let compressedSize = view.getUint32(offset + 20, true);
+            let size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            let localHeaderOffset = view.getUint32(offset + 42, true);
+            const path = decoder.decode(directory.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            // ZIP64: sizes and offset that do not fit 32 bits are in extra field 0x0001
+            const extraStart = offset + 46 + nameLength;
+            for (let extra = extraStart; extra + 4 <= extraStart + extraLength;) {
+                const id = view.getUint16(extra, true);
+                const length = view.getUint16(extra + 2, true);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    const next = () => {
+                        const value = Number(view.getBigUint64(field, true));
+                        field += 8;
+                        return value;
+                    };
+                    if (size === 0xFFFFFFFF) size = next();
+                    if (compressedSize === 0xFFFFFFFF) compressedSize = next();
+                    if (localHeaderOffset === 0xFFFFFFFF) localHeaderOffset = next();
+                }
+                extra += 4 + length;
+            }
+            offset = extraStart + extraLength + commentLength;
+
+            const name = path.split('/').pop();
+            if (path.endsWith('/') || path.startsWith('__MACOSX/') || name === '.DS_Store') {
+                continue;
+            }
+
+            const entry = { path, flags, method, compressedSize, size, localHeaderOffset };
+            entries.push({
+                name,
+                webkitRelativePath: path,
+                size,
+                arrayBuffer: () => this.readEntry(blob, entry),
+                head: length => this.readEntryHead(blob, entry, length)
+            });
+        }
+
+        return entries;
+    }
+
+    // The central directory's bytes and entry count, found through the end of
+    // central directory record (and its ZIP64 version for large archives)
+    async readCentralDirectory(blob) {
+        // The end record is 22 bytes plus a comment of up to 65535 bytes
+        const tailStart = Math.max(0, blob.size - 65557);
+        const tail = new Uint8Array(await blob.slice(tailStart).arrayBuffer());
+        const tailView = new DataView(tail.buffer);
+
+        let endOffset = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tailView.getUint32(i, true) === 0x06054B50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('Not a ZIP archive (no end of central directory record)');
+        }
+
+        let entryCount = tailView.getUint16(endOffset + 10, true);
+        let directorySize = tailView.getUint32(endOffset + 12, true);
+        let directoryOffset = tailView.getUint32(endOffset + 16, true);
+
+        if (directoryOffset === 0xFFFFFFFF || entryCount === 0xFFFF) {
+            // ZIP64 locator just before the end record points at the ZIP64 end record
+            const locator = endOffset - 20;
+            if (locator < 0 || tailView.getUint32(locator, true) !== 0x07064B50) {
+                throw new Error('Damaged ZIP64 archive (no end of central directory locator)');
+            }
+            const zip64Offset = Number(tailView.getBigUint64(locator + 8, true));
+            const record = new DataView(await blob.slice(zip64Offset, zip64Offset + 56).arrayBuffer());
+            if (record.getUint32(0, true) !== 0x06064B50) {
+                throw new Error('Damaged ZIP64 archive (no ZIP64 end of central directory record)');
+            }
+            entryCount = Number(record.getBigUint64(32, true));
+            directorySize = Number(record.getBigUint64(40, true));
+            directoryOffset = Number(record.getBigUint64(48, true));
+        }
+
+        const bytes = new Uint8Array(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+        return { bytes, entryCount };
+    }
+
+    // Read one entry's data, inflating deflated entries
+    async readEntry(blob, entry) {
+        const data = await this.entryData(blob, entry);
+        if (entry.method === 0) {
+            return data.arrayBuffer();
+        }
+
+        const bytes = await this.gzip.decompress(data, 'deflate-raw');
+        if (bytes.byteLength !== entry.size) {
+            throw new Error(`${entry.path} inflated to ${bytes.byteLength} bytes, expected ${entry.size}`);
+        }
+        return bytes.buffer;
+    }
+
+    // The first length bytes of an entry, inflating no more than needed
+    async readEntryHead(blob, entry, length) {
+        const data = await this.entryData(blob, entry);
+        if (entry.method === 0) {
+            return new Uint8Array(await data.slice(0, length).arrayBuffer());
+        }
+        return this.gzip.decompressHead(data, length, 'deflate-raw');
+    }
+
+    // Blob of an entry's stored (possibly compressed) data
+    async entryData(blob, entry) {
+        if (entry.flags & 0x0001) {
+            throw new Error(`${entry.path} is encrypted`);
+        }
+        if (entry.method !== 0 && entry.method !== 8) {
+            throw new Error(`${entry.path} uses unsupported ZIP compression method ${entry.method}`);
+        }
+
+        // The local header repeats the name and has its own extra field length
+        const header = new DataView(await blob.slice(entry.localHeaderOffset, entry.localHeaderOffset + 30).arrayBuffer());
+        if (header.byteLength < 30 || header.getUint32(0, true) !== 0x04034B50) {
+            throw new Error(`Damaged ZIP entry ${entry.path}`);
+        }
+        const dataOffset = entry.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        return blob.slice(dataOffset, dataOffset + entry.compressedSize);
+    }
+}
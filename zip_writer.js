@@ -0,0 +1,90 @@
+// Writes ZIP archives of deflated files (or stored ones, when deflating does not
+// make them smaller), for downloading several files at once. The counterpart of
+// ZipReader; archives are limited to the classic 4 GiB format.
+class ZipWriter {
+    constructor() {
+        this.gzip = new Gzip();
+
+        // CRC-32 (IEEE) lookup table
+        this.crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            this.crcTable[n] = c >>> 0;
+        }
+    }
+
+    // files: [{ name, data: Uint8Array }], names may contain folders ("case/IM1.dcm")
+    async writeZip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const crc = this.crc32(file.data);
+            const deflated = await this.gzip.compress(file.data, 'deflate-raw');
+            const method = deflated.length < file.data.length ? 8 : 0;
+            const data = method === 8 ? deflated : file.data;
+            if (offset + 30 + name.length + data.length > 0xFFFFFFFF) {
+                throw new Error('ZIP archive would exceed 4 GiB');
+            }
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true); // Local file header
+            header.setUint16(4, 20, true); // Version needed
+            header.setUint16(6, 0x0800, true); // UTF-8 names
+            header.setUint16(8, method, true);
+            this.writeDosTime(header, 10);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, file.data.length, true);
+            header.setUint16(26, name.length, true);
+            parts.push(header, name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true); // Central directory file header
+            entry.setUint16(4, 20, true); // Version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, method, true);
+            this.writeDosTime(entry, 12);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            directory.push(entry, name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // End of central directory
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    }
+
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // The current local time in MS-DOS format
+    writeDosTime(view, offset) {
+        const now = new Date();
+        view.setUint16(offset, (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1), true);
+        view.setUint16(offset + 2, ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate(), true);
+    }
+}